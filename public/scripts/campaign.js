@@ -0,0 +1,22 @@
+// Campaign pages live under /c/<id>/; ?campaign=<id> works too. The default
+// campaign has no id and uses the plain URLs. Every page loads this before its
+// own scripts, which read the result from `window.campaignRoute`.
+(() => {
+  const match = window.location.pathname.match(/^\/c\/([a-z0-9-]+)\//);
+  const id =
+    (match && match[1]) || new URLSearchParams(window.location.search).get("campaign") || "";
+
+  // `campaignId` defaults to this page's campaign; queued uploads pass the one
+  // they were drawn for.
+  function apiUrl(url, campaignId = id) {
+    if (!campaignId) return url;
+    const separator = url.includes("?") ? "&" : "?";
+    return `${url}${separator}campaign=${encodeURIComponent(campaignId)}`;
+  }
+
+  function pageUrl(url) {
+    return id ? `/c/${id}${url}` : url;
+  }
+
+  window.campaignRoute = { id, apiUrl, pageUrl };
+})();
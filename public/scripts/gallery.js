@@ -3,12 +3,20 @@ const emptyEl = document.querySelector("#galleryEmpty");
 const titleEl = document.querySelector(".gallery-header h1");
 const backLink = document.querySelector("#galleryBack");
 const trashLink = document.querySelector("#galleryTrash");
+const stickersLink = document.querySelector("#galleryStickers");
+const moderationLink = document.querySelector("#galleryModeration");
+const campaignsLink = document.querySelector("#galleryCampaigns");
 const controlsEl = document.querySelector("#galleryControls");
 const batchSelectEl = document.querySelector("#batchSelect");
 const batchApplyBtn = document.querySelector("#batchApply");
 const batchStatusEl = document.querySelector("#batchStatus");
+const indexReconcileBtn = document.querySelector("#indexReconcile");
 const params = new URLSearchParams(window.location.search);
 const trashParam = params.get("trash");
+const stickersParam = params.get("stickers");
+const moderationParam = params.get("moderation");
+const campaignsParam = params.get("campaigns");
+const campaignId = window.campaignRoute.id;
 
 let authPrompting = false;
 let latestPayload = null;
@@ -25,6 +33,11 @@ async function ensureLogin() {
     headers: { "Content-Type": "application/json" },
     body: JSON.stringify({ password }),
   });
+  if (res.status === 429) {
+    const seconds = Number(res.headers.get("Retry-After")) || 0;
+    alert(`로그인 시도가 너무 많습니다. ${Math.ceil(seconds / 60) || 1}분 후에 다시 시도해주세요.`);
+    return false;
+  }
   if (!res.ok) {
     alert("비밀번호가 올바르지 않습니다.");
     return false;
@@ -33,11 +46,12 @@ async function ensureLogin() {
 }
 
 async function fetchWithAuth(url, options) {
-  const res = await fetch(url, options);
+  const campaignUrl = window.campaignRoute.apiUrl(url);
+  const res = await fetch(campaignUrl, options);
   if (res.status !== 401) return res;
   const loggedIn = await ensureLogin();
   if (!loggedIn) return res;
-  return fetch(url, options);
+  return fetch(campaignUrl, options);
 }
 
 function showEmpty(message) {
@@ -101,14 +115,63 @@ function updateBatchControls(payload, index) {
   }
 }
 
-function createGalleryCard(item, onDelete) {
-  const card = document.createElement("div");
-  card.className = "gallery-card";
+function getDisplayName(type, code) {
+  if (!code) return "";
+  try {
+    return new Intl.DisplayNames(["ko"], { type }).of(code) || code;
+  } catch (err) {
+    return code;
+  }
+}
+
+// Nickname, country, language and message from the paint page's optional
+// form; uploads without consent have no submission.
+function createSubmissionInfo(submission) {
+  if (!submission) return null;
+  const info = document.createElement("div");
+  info.className = "gallery-submission";
+
+  const details = [
+    submission.nickname,
+    getDisplayName("region", submission.country),
+    getDisplayName("language", submission.language),
+  ].filter(Boolean);
+  if (details.length > 0) {
+    const line = document.createElement("p");
+    line.className = "gallery-submission-details";
+    line.textContent = details.join(" · ");
+    info.appendChild(line);
+  }
+  if (submission.message) {
+    const message = document.createElement("p");
+    message.className = "gallery-submission-message";
+    message.textContent = `“${submission.message}”`;
+    info.appendChild(message);
+  }
+  return info.childElementCount > 0 ? info : null;
+}
+
+// Cards load the small server-side thumbnail; clicking opens the full image.
+function createCardImage(item) {
+  const link = document.createElement("a");
+  link.className = "gallery-card-image";
+  link.href = item.url;
+  link.target = "_blank";
+  link.rel = "noopener";
 
   const img = document.createElement("img");
-  img.src = item.url;
+  img.src = item.thumbUrl || item.url;
   img.alt = item.filename;
   img.loading = "lazy";
+  link.appendChild(img);
+  return link;
+}
+
+function createGalleryCard(item, onDelete) {
+  const card = document.createElement("div");
+  card.className = "gallery-card";
+
+  const image = createCardImage(item);
 
   const label = document.createElement("p");
   label.textContent = item.filename;
@@ -119,8 +182,12 @@ function createGalleryCard(item, onDelete) {
   deleteBtn.textContent = "삭제";
   deleteBtn.addEventListener("click", onDelete);
 
-  card.appendChild(img);
+  card.appendChild(image);
   card.appendChild(label);
+  const info = createSubmissionInfo(item.submission);
+  if (info) {
+    card.appendChild(info);
+  }
   card.appendChild(deleteBtn);
   return card;
 }
@@ -175,10 +242,73 @@ function renderBatchView(payload) {
   });
 }
 
+async function postTrashAction(url, payload, failMessage) {
+  try {
+    const res = await fetchWithAuth(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    if (!res.ok) throw new Error("Trash action failed");
+  } catch (err) {
+    alert(failMessage);
+  }
+  await loadTrash();
+}
+
+function formatDate(ms) {
+  const date = new Date(ms);
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function createTrashCard(item) {
+  const card = document.createElement("div");
+  card.className = "gallery-card";
+
+  const image = createCardImage(item);
+
+  const label = document.createElement("p");
+  label.textContent = item.filename;
+
+  const actions = document.createElement("div");
+  actions.className = "gallery-moderation-actions";
+  actions.appendChild(
+    createModerationButton("gallery-restore", "복원", () => {
+      postTrashAction(
+        "/api/restore",
+        { id: item.id },
+        "복원에 실패했습니다. 서버가 켜져있는지 확인해주세요."
+      );
+    })
+  );
+  actions.appendChild(
+    createModerationButton("gallery-delete", "영구 삭제", () => {
+      if (!confirm("이 그림을 영구 삭제할까요? 되돌릴 수 없습니다.")) return;
+      postTrashAction(
+        "/api/trash/purge",
+        { id: item.id },
+        "영구 삭제에 실패했습니다. 서버가 켜져있는지 확인해주세요."
+      );
+    })
+  );
+
+  card.appendChild(image);
+  card.appendChild(label);
+  if (item.expiresAt) {
+    const expires = document.createElement("p");
+    expires.className = "gallery-trash-expires";
+    expires.textContent = `${formatDate(item.expiresAt)} 자동 삭제`;
+    card.appendChild(expires);
+  }
+  card.appendChild(actions);
+  return card;
+}
+
 function renderTrash(items) {
   gridEl.replaceChildren();
-  gridEl.classList.remove("gallery-batches");
-  gridEl.classList.add("gallery-grid");
+  gridEl.classList.remove("gallery-grid");
+  gridEl.classList.add("gallery-batches");
   toggleControls(false);
 
   if (!Array.isArray(items) || items.length === 0) {
@@ -187,43 +317,615 @@ function renderTrash(items) {
   }
 
   hideEmpty();
-  items.forEach((item) => {
-    const card = document.createElement("div");
-    card.className = "gallery-card";
-
-    const img = document.createElement("img");
-    img.src = item.url;
-    img.alt = item.filename;
-    img.loading = "lazy";
-
-    const label = document.createElement("p");
-    label.textContent = item.filename;
-
-    const restoreBtn = document.createElement("button");
-    restoreBtn.className = "gallery-restore";
-    restoreBtn.type = "button";
-    restoreBtn.textContent = "복원";
-    restoreBtn.addEventListener("click", async () => {
+  const toolbar = document.createElement("div");
+  toolbar.className = "gallery-moderation-toolbar";
+  toolbar.appendChild(
+    createModerationButton("gallery-batch-select gallery-trash-empty", "휴지통 비우기", () => {
+      if (!confirm(`휴지통의 그림 ${items.length}개를 영구 삭제할까요? 되돌릴 수 없습니다.`)) return;
+      postTrashAction(
+        "/api/trash/empty",
+        {},
+        "휴지통을 비우지 못했습니다. 서버가 켜져있는지 확인해주세요."
+      );
+    })
+  );
+  gridEl.appendChild(toolbar);
+
+  const grid = document.createElement("div");
+  grid.className = "gallery-grid";
+  items.forEach((item) => grid.appendChild(createTrashCard(item)));
+  gridEl.appendChild(grid);
+}
+
+async function postModeration(url, payload) {
+  try {
+    const res = await fetchWithAuth(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+    });
+    if (!res.ok) throw new Error("Moderation failed");
+  } catch (err) {
+    alert("검토 처리에 실패했습니다. 서버가 켜져있는지 확인해주세요.");
+  }
+  await loadModeration();
+}
+
+function setModerationStatus(paths, status) {
+  return postModeration("/api/moderation", { paths, status });
+}
+
+function createModerationButton(className, text, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = className;
+  button.textContent = text;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+function createModerationCard(item) {
+  const card = document.createElement("div");
+  card.className = "gallery-card";
+
+  const image = createCardImage(item);
+
+  const label = document.createElement("p");
+  label.textContent = item.filename;
+
+  const actions = document.createElement("div");
+  actions.className = "gallery-moderation-actions";
+  actions.appendChild(
+    createModerationButton("gallery-restore", "승인", () => {
+      setModerationStatus([item.path], "approved");
+    })
+  );
+  if (item.status !== "rejected") {
+    actions.appendChild(
+      createModerationButton("gallery-delete", "거절", () => {
+        setModerationStatus([item.path], "rejected");
+      })
+    );
+  }
+
+  card.appendChild(image);
+  card.appendChild(label);
+  const info = createSubmissionInfo(item.submission);
+  if (info) {
+    card.appendChild(info);
+  }
+  card.appendChild(actions);
+  return card;
+}
+
+function createModerationToolbar(payload, status) {
+  const toolbar = document.createElement("div");
+  toolbar.className = "gallery-moderation-toolbar";
+
+  const tabs = document.createElement("div");
+  tabs.className = "gallery-batch-actions";
+  [
+    { value: "pending", label: `검토 대기 (${payload.counts?.pending || 0})` },
+    { value: "rejected", label: `거절됨 (${payload.counts?.rejected || 0})` },
+  ].forEach((tab) => {
+    const link = document.createElement("a");
+    link.className = "gallery-batch-select gallery-moderation-tab";
+    link.href = window.campaignRoute.pageUrl(`/gallery.html?moderation=${tab.value}`);
+    link.textContent = tab.label;
+    if (tab.value === status) {
+      link.setAttribute("aria-current", "page");
+    }
+    tabs.appendChild(link);
+  });
+
+  const autoLabel = document.createElement("label");
+  autoLabel.className = "gallery-control-label gallery-moderation-auto";
+  const autoInput = document.createElement("input");
+  autoInput.type = "checkbox";
+  autoInput.checked = payload.autoApprove;
+  autoInput.addEventListener("change", () => {
+    const message = autoInput.checked
+      ? "자동 승인을 켜면 새 그림이 검토 없이 바로 Luux에 올라갑니다. 켤까요?"
+      : "자동 승인을 끌까요? 새 그림은 승인 후에 Luux에 올라갑니다.";
+    if (!confirm(message)) {
+      autoInput.checked = !autoInput.checked;
+      return;
+    }
+    postModeration("/api/moderation/settings", { autoApprove: autoInput.checked });
+  });
+  autoLabel.appendChild(autoInput);
+  autoLabel.appendChild(document.createTextNode(" 자동 승인"));
+
+  toolbar.appendChild(tabs);
+  if (status === "pending" && payload.items.length > 0) {
+    toolbar.appendChild(
+      createModerationButton("gallery-batch-select", "모두 승인", () => {
+        if (!confirm(`검토 대기 중인 그림 ${payload.items.length}개를 모두 승인할까요?`)) return;
+        setModerationStatus(payload.items.map((item) => item.path), "approved");
+      })
+    );
+  }
+  toolbar.appendChild(autoLabel);
+  return toolbar;
+}
+
+function renderModeration(payload, status) {
+  gridEl.replaceChildren();
+  gridEl.classList.remove("gallery-grid");
+  gridEl.classList.add("gallery-batches");
+  toggleControls(false);
+
+  gridEl.appendChild(createModerationToolbar(payload, status));
+
+  const items = Array.isArray(payload.items) ? payload.items : [];
+  if (items.length === 0) {
+    showEmpty(status === "rejected" ? "거절된 그림이 없습니다." : "검토할 그림이 없습니다.");
+    return;
+  }
+
+  hideEmpty();
+  const grid = document.createElement("div");
+  grid.className = "gallery-grid";
+  items.forEach((item) => grid.appendChild(createModerationCard(item)));
+  gridEl.appendChild(grid);
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.addEventListener("load", () => resolve(reader.result));
+    reader.addEventListener("error", () => reject(reader.error));
+    reader.readAsDataURL(file);
+  });
+}
+
+async function postStickerAdmin(url, payload) {
+  const res = await fetchWithAuth(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  if (!res.ok) throw new Error("Sticker request failed");
+  return res.json();
+}
+
+async function runStickerAction(action) {
+  try {
+    await action();
+    await loadStickers();
+  } catch (err) {
+    alert("스티커 변경에 실패했습니다. 서버가 켜져있는지 확인해주세요.");
+  }
+}
+
+function moveItem(items, index, step) {
+  const next = items.slice();
+  const target = index + step;
+  if (target < 0 || target >= next.length) return null;
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+function createOrderButtons(items, index, onMove) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "gallery-sticker-order";
+  [
+    { step: -1, label: "◀", title: "앞으로" },
+    { step: 1, label: "▶", title: "뒤로" },
+  ].forEach(({ step, label, title }) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "gallery-sticker-btn";
+    button.textContent = label;
+    button.title = title;
+    const next = moveItem(items, index, step);
+    button.disabled = !next;
+    button.addEventListener("click", () => {
+      if (next) onMove(next);
+    });
+    wrapper.appendChild(button);
+  });
+  return wrapper;
+}
+
+function createStickerCard(pack, sticker, index) {
+  const card = document.createElement("div");
+  card.className = "gallery-card gallery-sticker-card";
+  card.classList.toggle("disabled", !sticker.enabled);
+
+  const img = document.createElement("img");
+  img.src = sticker.url;
+  img.alt = sticker.name;
+  img.loading = "lazy";
+
+  const label = document.createElement("p");
+  label.textContent = sticker.name;
+
+  const sizeSelect = document.createElement("select");
+  sizeSelect.className = "gallery-select";
+  [
+    { value: "big", label: "큰 스티커" },
+    { value: "small", label: "작은 스티커" },
+  ].forEach(({ value, label: text }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    sizeSelect.appendChild(option);
+  });
+  sizeSelect.value = sticker.size;
+  sizeSelect.addEventListener("change", () => {
+    runStickerAction(() =>
+      postStickerAdmin("/api/stickers/update", { id: sticker.id, size: sizeSelect.value })
+    );
+  });
+
+  const toggleBtn = document.createElement("button");
+  toggleBtn.type = "button";
+  toggleBtn.className = sticker.enabled ? "gallery-delete" : "gallery-restore";
+  toggleBtn.textContent = sticker.enabled ? "숨기기" : "사용하기";
+  toggleBtn.addEventListener("click", () => {
+    runStickerAction(() =>
+      postStickerAdmin("/api/stickers/update", { id: sticker.id, enabled: !sticker.enabled })
+    );
+  });
+
+  const order = createOrderButtons(pack.stickers, index, (next) => {
+    runStickerAction(() =>
+      postStickerAdmin("/api/stickers/order", {
+        packId: pack.id,
+        ids: next.map((entry) => entry.id),
+      })
+    );
+  });
+
+  card.appendChild(img);
+  card.appendChild(label);
+  card.appendChild(sizeSelect);
+  card.appendChild(order);
+  card.appendChild(toggleBtn);
+  return card;
+}
+
+function createStickerUploadForm(pack) {
+  const form = document.createElement("form");
+  form.className = "gallery-sticker-upload";
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = "image/png,image/jpeg,image/webp";
+  fileInput.required = true;
+
+  const nameInput = document.createElement("input");
+  nameInput.type = "text";
+  nameInput.className = "gallery-input";
+  nameInput.placeholder = "스티커 이름";
+  nameInput.maxLength = 40;
+
+  const sizeSelect = document.createElement("select");
+  sizeSelect.className = "gallery-select";
+  [
+    { value: "small", label: "작은 스티커" },
+    { value: "big", label: "큰 스티커" },
+  ].forEach(({ value, label }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    sizeSelect.appendChild(option);
+  });
+
+  const submitBtn = document.createElement("button");
+  submitBtn.type = "submit";
+  submitBtn.className = "gallery-batch-select";
+  submitBtn.textContent = "업로드";
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const file = fileInput.files?.[0];
+    if (!file) return;
+    submitBtn.disabled = true;
+    await runStickerAction(async () => {
+      const dataUrl = await readFileAsDataUrl(file);
+      await postStickerAdmin("/api/stickers/upload", {
+        packId: pack.id,
+        name: nameInput.value,
+        size: sizeSelect.value,
+        dataUrl,
+      });
+    });
+    submitBtn.disabled = false;
+  });
+
+  form.appendChild(fileInput);
+  form.appendChild(nameInput);
+  form.appendChild(sizeSelect);
+  form.appendChild(submitBtn);
+  return form;
+}
+
+function createStickerPackSection(packs, pack, index) {
+  const section = document.createElement("section");
+  section.className = "gallery-batch";
+  section.classList.toggle("disabled", !pack.enabled);
+
+  const header = document.createElement("div");
+  header.className = "gallery-batch-header";
+
+  const title = document.createElement("h2");
+  title.textContent = pack.enabled ? pack.name : `${pack.name} (숨김)`;
+
+  const actions = document.createElement("div");
+  actions.className = "gallery-batch-actions";
+
+  const renameBtn = document.createElement("button");
+  renameBtn.type = "button";
+  renameBtn.className = "gallery-batch-select";
+  renameBtn.textContent = "이름 변경";
+  renameBtn.addEventListener("click", () => {
+    const name = prompt("스티커 팩 이름을 입력하세요.", pack.name);
+    if (!name) return;
+    runStickerAction(() => postStickerAdmin("/api/stickers/packs/update", { id: pack.id, name }));
+  });
+
+  const toggleBtn = document.createElement("button");
+  toggleBtn.type = "button";
+  toggleBtn.className = "gallery-batch-select";
+  toggleBtn.textContent = pack.enabled ? "팩 숨기기" : "팩 사용하기";
+  toggleBtn.addEventListener("click", () => {
+    runStickerAction(() =>
+      postStickerAdmin("/api/stickers/packs/update", { id: pack.id, enabled: !pack.enabled })
+    );
+  });
+
+  const order = createOrderButtons(packs, index, (next) => {
+    runStickerAction(() =>
+      postStickerAdmin("/api/stickers/order", { ids: next.map((entry) => entry.id) })
+    );
+  });
+
+  actions.appendChild(order);
+  actions.appendChild(renameBtn);
+  actions.appendChild(toggleBtn);
+  header.appendChild(title);
+  header.appendChild(actions);
+
+  const grid = document.createElement("div");
+  grid.className = "gallery-grid";
+  pack.stickers.forEach((sticker, stickerIndex) => {
+    grid.appendChild(createStickerCard(pack, sticker, stickerIndex));
+  });
+
+  section.appendChild(header);
+  section.appendChild(grid);
+  section.appendChild(createStickerUploadForm(pack));
+  return section;
+}
+
+function renderStickers(packs) {
+  gridEl.replaceChildren();
+  gridEl.classList.remove("gallery-grid");
+  gridEl.classList.add("gallery-batches");
+  toggleControls(false);
+  hideEmpty();
+
+  const addPackBtn = document.createElement("button");
+  addPackBtn.type = "button";
+  addPackBtn.className = "gallery-batch-select gallery-sticker-add";
+  addPackBtn.textContent = "새 스티커 팩";
+  addPackBtn.addEventListener("click", () => {
+    const name = prompt("새 스티커 팩 이름을 입력하세요.");
+    if (!name) return;
+    runStickerAction(() => postStickerAdmin("/api/stickers/packs", { name }));
+  });
+  gridEl.appendChild(addPackBtn);
+
+  if (!Array.isArray(packs) || packs.length === 0) {
+    showEmpty("스티커 팩이 없습니다.");
+    return;
+  }
+
+  packs.forEach((pack, index) => {
+    gridEl.appendChild(createStickerPackSection(packs, pack, index));
+  });
+}
+
+function createCampaignInput(name, placeholder, maxLength) {
+  const input = document.createElement("input");
+  input.type = "text";
+  input.className = "gallery-input";
+  input.name = name;
+  input.placeholder = placeholder;
+  input.maxLength = maxLength;
+  return input;
+}
+
+function createCampaignForm() {
+  const section = document.createElement("section");
+  section.className = "gallery-batch";
+
+  const header = document.createElement("div");
+  header.className = "gallery-batch-header";
+  const title = document.createElement("h2");
+  title.textContent = "새 캠페인";
+  header.appendChild(title);
+
+  const form = document.createElement("form");
+  form.className = "gallery-sticker-upload";
+
+  const idInput = createCampaignInput("id", "주소 (예: jimin-birthday)", 40);
+  idInput.required = true;
+  idInput.pattern = "[a-z0-9][a-z0-9\\-]*";
+  const titleInput = createCampaignInput("title", "제목", 60);
+  titleInput.required = true;
+  const subtitleInput = createCampaignInput("subtitle", "부제목 (영문 등)", 60);
+
+  const frameLabel = document.createElement("label");
+  frameLabel.textContent = "프레임 이미지 ";
+  const frameInput = document.createElement("input");
+  frameInput.type = "file";
+  frameInput.accept = "image/png,image/jpeg,image/webp";
+  frameLabel.appendChild(frameInput);
+
+  const slotLabel = document.createElement("label");
+  slotLabel.textContent = "slot.json ";
+  const slotInput = document.createElement("input");
+  slotInput.type = "file";
+  slotInput.accept = "application/json,.json";
+  slotLabel.appendChild(slotInput);
+
+  const submitBtn = document.createElement("button");
+  submitBtn.type = "submit";
+  submitBtn.className = "gallery-batch-select";
+  submitBtn.textContent = "캠페인 만들기";
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    let slots = null;
+    const slotFile = slotInput.files?.[0];
+    if (slotFile) {
       try {
-        const res = await fetchWithAuth("/api/restore", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ id: item.id }),
-        });
-        if (!res.ok) throw new Error("Restore failed");
-        await loadTrash();
+        slots = JSON.parse(await slotFile.text());
       } catch (err) {
-        alert("복원에 실패했습니다. 서버가 켜져있는지 확인해주세요.");
+        alert("slot.json 형식이 올바르지 않습니다.");
+        return;
       }
-    });
+    }
+    submitBtn.disabled = true;
+    try {
+      const frameFile = frameInput.files?.[0];
+      const res = await fetchWithAuth("/api/campaigns", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          id: idInput.value.trim(),
+          title: titleInput.value,
+          subtitle: subtitleInput.value,
+          frame: frameFile ? await readFileAsDataUrl(frameFile) : null,
+          slots,
+        }),
+      });
+      if (res.status === 409) {
+        alert("이미 있는 캠페인 주소입니다.");
+      } else if (!res.ok) {
+        alert(`캠페인을 만들지 못했습니다. ${await res.text()}`);
+      } else {
+        await loadCampaigns();
+      }
+    } catch (err) {
+      alert("캠페인을 만들지 못했습니다. 서버가 켜져있는지 확인해주세요.");
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
 
-    card.appendChild(img);
-    card.appendChild(label);
-    card.appendChild(restoreBtn);
-    gridEl.appendChild(card);
+  form.appendChild(idInput);
+  form.appendChild(titleInput);
+  form.appendChild(subtitleInput);
+  form.appendChild(frameLabel);
+  form.appendChild(slotLabel);
+  form.appendChild(submitBtn);
+  section.appendChild(header);
+  section.appendChild(form);
+  return section;
+}
+
+function createCampaignSection(campaign) {
+  const section = document.createElement("section");
+  section.className = "gallery-batch";
+  section.classList.toggle("selected", campaign.id === (campaignId || "default"));
+
+  const header = document.createElement("div");
+  header.className = "gallery-batch-header";
+
+  const title = document.createElement("h2");
+  title.textContent = `${campaign.title} (${campaign.id})`;
+
+  const actions = document.createElement("div");
+  actions.className = "gallery-batch-actions";
+  [
+    { label: "그림판", href: campaign.url },
+    { label: "갤러리", href: `${campaign.url}gallery.html` },
+    { label: "Luux", href: `${campaign.url}luux.html` },
+  ].forEach(({ label, href }) => {
+    const link = document.createElement("a");
+    link.className = "gallery-batch-select gallery-moderation-tab";
+    link.href = href;
+    link.textContent = label;
+    actions.appendChild(link);
+  });
+
+  header.appendChild(title);
+  header.appendChild(actions);
+  section.appendChild(header);
+  return section;
+}
+
+function renderCampaigns(campaigns) {
+  gridEl.replaceChildren();
+  gridEl.classList.remove("gallery-grid");
+  gridEl.classList.add("gallery-batches");
+  toggleControls(false);
+  hideEmpty();
+
+  gridEl.appendChild(createCampaignForm());
+  campaigns.forEach((campaign) => {
+    gridEl.appendChild(createCampaignSection(campaign));
   });
 }
 
+async function loadCampaigns() {
+  try {
+    const res = await fetchWithAuth("/api/campaigns");
+    if (!res.ok) throw new Error("Failed to load campaigns");
+    const payload = await res.json();
+    renderCampaigns(payload.campaigns);
+  } catch (err) {
+    gridEl.replaceChildren();
+    showEmpty("캠페인 목록을 불러오지 못했습니다.");
+  }
+}
+
+// Campaign pages show which campaign they belong to next to the view title.
+async function showCampaignTitle() {
+  if (!campaignId || !titleEl) return;
+  try {
+    const res = await fetch(window.campaignRoute.apiUrl("/api/campaign"));
+    if (!res.ok) throw new Error("Failed to load campaign");
+    const campaign = await res.json();
+    titleEl.textContent = `${titleEl.textContent} · ${campaign.title}`;
+  } catch (err) {
+    // keep the plain title
+  }
+}
+
+async function loadStickers() {
+  try {
+    const res = await fetchWithAuth("/api/stickers/all");
+    if (!res.ok) throw new Error("Failed to load stickers");
+    const payload = await res.json();
+    renderStickers(payload.packs);
+  } catch (err) {
+    gridEl.replaceChildren();
+    showEmpty("스티커를 불러오지 못했습니다.");
+  }
+}
+
+function getModerationView() {
+  return moderationParam === "rejected" ? "rejected" : "pending";
+}
+
+async function loadModeration() {
+  const status = getModerationView();
+  try {
+    const res = await fetchWithAuth(`/api/moderation?status=${status}`);
+    if (!res.ok) throw new Error("Failed to load moderation");
+    const payload = await res.json();
+    renderModeration(payload, status);
+  } catch (err) {
+    gridEl.replaceChildren();
+    showEmpty("검토 목록을 불러오지 못했습니다.");
+  }
+}
+
 async function loadTrash() {
   try {
     const res = await fetchWithAuth("/api/trash");
@@ -279,7 +981,68 @@ if (batchApplyBtn) {
   });
 }
 
-if (trashParam) {
+// Picks up drawings copied into uploads/ by hand and forgets deleted ones.
+if (indexReconcileBtn) {
+  indexReconcileBtn.addEventListener("click", async () => {
+    indexReconcileBtn.disabled = true;
+    try {
+      const res = await fetchWithAuth("/api/index/reconcile", { method: "POST" });
+      if (!res.ok) throw new Error("Reconcile failed");
+      const { added, removed } = await res.json();
+      alert(`새로 찾은 그림 ${added}개, 사라진 그림 ${removed}개를 반영했습니다.`);
+      await loadGallery();
+    } catch (err) {
+      alert("폴더를 다시 읽지 못했습니다. 서버가 켜져있는지 확인해주세요.");
+    } finally {
+      indexReconcileBtn.disabled = false;
+    }
+  });
+}
+
+document.querySelectorAll(".gallery-actions a.gallery-link").forEach((link) => {
+  const href = link.getAttribute("href");
+  if (href.startsWith("/")) {
+    link.setAttribute("href", window.campaignRoute.pageUrl(href));
+  }
+});
+
+if (campaignsParam) {
+  if (titleEl) {
+    titleEl.textContent = "캠페인";
+  }
+  if (backLink) {
+    backLink.style.display = "inline-flex";
+  }
+  if (campaignsLink) {
+    campaignsLink.style.display = "none";
+  }
+  toggleControls(false);
+  loadCampaigns();
+} else if (stickersParam) {
+  if (titleEl) {
+    titleEl.textContent = "스티커 관리";
+  }
+  if (backLink) {
+    backLink.style.display = "inline-flex";
+  }
+  if (stickersLink) {
+    stickersLink.style.display = "none";
+  }
+  toggleControls(false);
+  loadStickers();
+} else if (moderationParam) {
+  if (titleEl) {
+    titleEl.textContent = "그림 검토";
+  }
+  if (backLink) {
+    backLink.style.display = "inline-flex";
+  }
+  if (moderationLink) {
+    moderationLink.style.display = "none";
+  }
+  toggleControls(false);
+  loadModeration();
+} else if (trashParam) {
   if (titleEl) {
     titleEl.textContent = "휴지통";
   }
@@ -300,5 +1063,10 @@ if (trashParam) {
   if (trashLink) {
     trashLink.style.display = "inline-flex";
   }
+  if (indexReconcileBtn) {
+    indexReconcileBtn.style.display = "inline-flex";
+  }
   loadGallery();
 }
+
+showCampaignTitle();
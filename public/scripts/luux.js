@@ -1,5 +1,6 @@
 const overlayEl = document.querySelector("#luuxOverlay");
 const emptyEl = document.querySelector("#luuxEmpty");
+const frameEl = document.querySelector("#luuxFrame");
 const itemEls = new Map();
 const POLL_MS = 4000;
 
@@ -70,9 +71,22 @@ function syncOverlay(items) {
   });
 }
 
+async function loadFrame() {
+  if (!frameEl || !window.campaignRoute.id) return;
+  try {
+    const res = await fetch(window.campaignRoute.apiUrl("/api/campaign"));
+    if (!res.ok) throw new Error("Failed to load campaign");
+    const campaign = await res.json();
+    frameEl.src = campaign.frameUrl;
+    frameEl.alt = `${campaign.title} frame background`;
+  } catch (err) {
+    // keep the default frame
+  }
+}
+
 async function loadLuux() {
   try {
-    const res = await fetch("/api/slots");
+    const res = await fetch(window.campaignRoute.apiUrl("/api/slots"));
     if (!res.ok) throw new Error("Failed to load list");
     const items = await res.json();
     syncOverlay(items);
@@ -86,5 +100,6 @@ async function loadLuux() {
   }
 }
 
+loadFrame();
 loadLuux();
 setInterval(loadLuux, POLL_MS);
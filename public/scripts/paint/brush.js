@@ -0,0 +1,123 @@
+const PRESSURE_FALLBACK = 0.5;
+const MIN_POINT_DISTANCE = 0.75;
+const MIN_WIDTH_RATIO = 0.35;
+const MAX_WIDTH_RATIO = 1.8;
+const MAX_TILT_DEG = 60;
+const TILT_WIDEN = 0.4;
+const VELOCITY_THINNING = 0.18;
+const MIN_VELOCITY_FACTOR = 0.55;
+const WIDTH_SMOOTHING = 0.35;
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+export function readPointerSample(e, point) {
+  // Mouse and touch report a flat 0.5 (or 0) while pressed, so only pens
+  // carry real pressure and tilt.
+  const isPen = e.pointerType === "pen";
+  const pressure = isPen && e.pressure > 0 ? e.pressure : PRESSURE_FALLBACK;
+  const tilt = isPen ? Math.hypot(e.tiltX || 0, e.tiltY || 0) : 0;
+  return {
+    x: point.x,
+    y: point.y,
+    pressure,
+    tilt,
+    time: Number.isFinite(e.timeStamp) ? e.timeStamp : Date.now(),
+  };
+}
+
+export function createStrokeBuilder({ baseWidth, dynamic = true }) {
+  const points = [];
+  let lastSample = null;
+
+  function getTargetWidth(sample) {
+    if (!dynamic) return baseWidth;
+    const pressureFactor = 0.4 + sample.pressure * 1.2;
+    const tiltFactor = 1 + (Math.min(sample.tilt, MAX_TILT_DEG) / MAX_TILT_DEG) * TILT_WIDEN;
+    let velocityFactor = 1;
+    if (lastSample) {
+      const distance = Math.hypot(sample.x - lastSample.x, sample.y - lastSample.y);
+      const elapsed = Math.max(sample.time - lastSample.time, 1);
+      velocityFactor = clamp(1 - (distance / elapsed) * VELOCITY_THINNING, MIN_VELOCITY_FACTOR, 1);
+    }
+    const width = baseWidth * pressureFactor * tiltFactor * velocityFactor;
+    return clamp(width, baseWidth * MIN_WIDTH_RATIO, baseWidth * MAX_WIDTH_RATIO);
+  }
+
+  function addSample(sample) {
+    const last = points[points.length - 1];
+    if (last && Math.hypot(sample.x - last.x, sample.y - last.y) < MIN_POINT_DISTANCE) {
+      return false;
+    }
+    const target = getTargetWidth(sample);
+    const w = last ? last.w + (target - last.w) * WIDTH_SMOOTHING : target;
+    points.push({ x: sample.x, y: sample.y, w });
+    lastSample = sample;
+    return true;
+  }
+
+  return {
+    points,
+    addSample,
+  };
+}
+
+function strokeSegment(ctx, from, control, to, width) {
+  ctx.beginPath();
+  ctx.lineWidth = width;
+  ctx.moveTo(from.x, from.y);
+  if (control) {
+    ctx.quadraticCurveTo(control.x, control.y, to.x, to.y);
+  } else {
+    ctx.lineTo(to.x, to.y);
+  }
+  ctx.stroke();
+}
+
+function drawDot(ctx, point) {
+  ctx.beginPath();
+  ctx.fillStyle = ctx.strokeStyle;
+  ctx.arc(point.x, point.y, point.w / 2, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+// Midpoint quadratic smoothing: each segment runs between the midpoints of
+// neighbouring samples and uses the shared sample as its control point.
+export function drawStrokeSegment(ctx, points, index) {
+  const prev = points[index - 1];
+  const current = points[index];
+  if (index === 1) {
+    strokeSegment(ctx, prev, null, midpoint(prev, current), prev.w);
+    return;
+  }
+  const before = points[index - 2];
+  strokeSegment(ctx, midpoint(before, prev), prev, midpoint(prev, current), prev.w);
+}
+
+export function drawStrokeEnd(ctx, points) {
+  const count = points.length;
+  if (count === 0) return;
+  if (count === 1) {
+    drawDot(ctx, points[0]);
+    return;
+  }
+  const prev = points[count - 2];
+  const last = points[count - 1];
+  strokeSegment(ctx, midpoint(prev, last), null, last, last.w);
+}
+
+export function drawStroke(ctx, points) {
+  if (points.length === 1) {
+    drawDot(ctx, points[0]);
+    return;
+  }
+  for (let i = 1; i < points.length; i += 1) {
+    drawStrokeSegment(ctx, points, i);
+  }
+  drawStrokeEnd(ctx, points);
+}
@@ -0,0 +1,17 @@
+// The campaign comes from scripts/campaign.js, which index.html loads first.
+const { campaignRoute } = window;
+
+export const campaignId = campaignRoute.id;
+
+export function campaignApiUrl(url, id = campaignId) {
+  return campaignRoute.apiUrl(url, id);
+}
+
+export async function loadCampaign() {
+  try {
+    const res = await fetch(campaignApiUrl("/api/campaign"));
+    return res.ok ? await res.json() : null;
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,51 @@
+import { drawTextBox } from "./text.js";
+
+export const EXPORT_FORMATS = {
+  png: "image/png",
+  webp: "image/webp",
+  jpeg: "image/jpeg",
+};
+export const DEFAULT_EXPORT_FORMAT = "png";
+export const DEFAULT_EXPORT_QUALITY = 0.92;
+
+export function getExportType(format) {
+  return EXPORT_FORMATS[format] || EXPORT_FORMATS[DEFAULT_EXPORT_FORMAT];
+}
+
+export function getExportQuality(quality) {
+  const value = Number(quality);
+  if (!Number.isFinite(value) || value <= 0 || value > 1) {
+    return DEFAULT_EXPORT_QUALITY;
+  }
+  return value;
+}
+
+// Draws the painted layer and the sticker items on top of it. Items are plain
+// objects in layer coordinates so the same code runs on the main thread and
+// inside the export worker. JPEG has no alpha, so it gets a white background.
+export async function drawComposite(ctx, { drawing, items, scaleX, scaleY, type }) {
+  const { width, height } = ctx.canvas;
+  if (type === EXPORT_FORMATS.jpeg) {
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(drawing, 0, 0, width, height);
+
+  // Each item is drawn around its own center so rotation and flip match the
+  // CSS transforms; the array order is the layer order.
+  for (const item of items) {
+    const box = { x: -item.w / 2, y: -item.h / 2 };
+    ctx.save();
+    ctx.translate((item.x + item.w / 2) * scaleX, (item.y + item.h / 2) * scaleY);
+    ctx.rotate(((item.rotation || 0) * Math.PI) / 180);
+    if (item.kind === "text") {
+      await drawTextBox(ctx, { ...item, ...box }, scaleX, scaleY);
+    } else if (item.source) {
+      if (item.flipX) {
+        ctx.scale(-1, 1);
+      }
+      ctx.drawImage(item.source, box.x * scaleX, box.y * scaleY, item.w * scaleX, item.h * scaleY);
+    }
+    ctx.restore();
+  }
+}
@@ -0,0 +1,118 @@
+import { campaignId } from "./campaign.js";
+import { DRAFT_STORE, deleteRecord, getRecord, putRecord } from "./storage.js";
+
+// One draft per campaign, so a kiosk moved to another campaign doesn't offer
+// a drawing made for the previous one.
+const DRAFT_KEY = `draft:${campaignId || "default"}`;
+const DRAFT_VERSION = 1;
+const AUTOSAVE_DELAY_MS = 800;
+
+function isEmptyDraft(draft) {
+  return draft.painter.commands.length === 0 && draft.stickers.length === 0;
+}
+
+export function createDraftAutosave({ painter, stickerManager, delay = AUTOSAVE_DELAY_MS }) {
+  let timer = null;
+  let paused = false;
+  let dirty = false;
+
+  function snapshot() {
+    return {
+      version: DRAFT_VERSION,
+      savedAt: Date.now(),
+      painter: painter.serialize(),
+      stickers: stickerManager.serialize(),
+    };
+  }
+
+  async function flush() {
+    if (timer) {
+      window.clearTimeout(timer);
+      timer = null;
+    }
+    if (paused || !dirty) return;
+    dirty = false;
+    const draft = snapshot();
+    try {
+      if (isEmptyDraft(draft)) {
+        await deleteRecord(DRAFT_STORE, DRAFT_KEY);
+        return;
+      }
+      await putRecord(DRAFT_STORE, DRAFT_KEY, draft);
+    } catch (err) {
+      // autosave is best effort; drawing keeps working without storage
+    }
+  }
+
+  function schedule() {
+    if (paused) return;
+    dirty = true;
+    if (timer) {
+      window.clearTimeout(timer);
+    }
+    timer = window.setTimeout(flush, delay);
+  }
+
+  async function clear() {
+    dirty = false;
+    if (timer) {
+      window.clearTimeout(timer);
+      timer = null;
+    }
+    try {
+      await deleteRecord(DRAFT_STORE, DRAFT_KEY);
+    } catch (err) {
+      // ignore
+    }
+  }
+
+  async function load() {
+    try {
+      const draft = await getRecord(DRAFT_STORE, DRAFT_KEY);
+      if (!draft || draft.version !== DRAFT_VERSION || isEmptyDraft(draft)) {
+        return null;
+      }
+      return draft;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Autosave stays paused until the fan has answered the restore prompt so an
+  // empty page doesn't overwrite the draft it is about to offer.
+  async function restore({ confirmRestore }) {
+    paused = true;
+    try {
+      const draft = await load();
+      if (!draft) return false;
+      if (!confirmRestore(draft)) {
+        await clear();
+        return false;
+      }
+      painter.restore(draft.painter);
+      stickerManager.restore(draft.stickers);
+      return true;
+    } finally {
+      paused = false;
+    }
+  }
+
+  function bind() {
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") {
+        flush();
+      }
+    });
+    window.addEventListener("pagehide", () => {
+      flush();
+    });
+  }
+
+  return {
+    bind,
+    schedule,
+    flush,
+    clear,
+    restore,
+  };
+}
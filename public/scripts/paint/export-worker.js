@@ -0,0 +1,21 @@
+import { drawComposite } from "./composite.js";
+
+function closeBitmaps({ drawing, items }) {
+  drawing?.close?.();
+  items.forEach((item) => item.source?.close?.());
+}
+
+self.addEventListener("message", async (e) => {
+  const { id, drawing, items, width, height, scaleX, scaleY, type, quality } = e.data;
+  try {
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    await drawComposite(ctx, { drawing, items, scaleX, scaleY, type });
+    const blob = await canvas.convertToBlob({ type, quality });
+    self.postMessage({ id, blob });
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || "Export failed" });
+  } finally {
+    closeBitmaps({ drawing, items });
+  }
+});
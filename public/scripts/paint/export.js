@@ -0,0 +1,134 @@
+import { drawComposite, getExportQuality, getExportType } from "./composite.js";
+
+const WORKER_URL = new URL("./export-worker.js", import.meta.url);
+const WORKER_TIMEOUT_MS = 15000;
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 1;
+const pending = new Map();
+
+function supportsWorkerExport() {
+  return (
+    !workerFailed &&
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof createImageBitmap === "function" &&
+    typeof OffscreenCanvas.prototype.convertToBlob === "function"
+  );
+}
+
+function rejectPending(message) {
+  pending.forEach(({ reject }) => reject(new Error(message)));
+  pending.clear();
+}
+
+function getWorker() {
+  if (worker) return worker;
+  worker = new Worker(WORKER_URL, { type: "module" });
+  worker.addEventListener("message", (e) => {
+    const request = pending.get(e.data.id);
+    if (!request) return;
+    pending.delete(e.data.id);
+    if (e.data.blob) {
+      request.resolve(e.data.blob);
+    } else {
+      request.reject(new Error(e.data.error || "Export failed"));
+    }
+  });
+  // A browser without module workers or a 2D OffscreenCanvas fails here;
+  // every later export then stays on the main thread.
+  worker.addEventListener("error", () => {
+    workerFailed = true;
+    worker.terminate();
+    worker = null;
+    rejectPending("Export worker failed");
+  });
+  return worker;
+}
+
+async function toBitmapItems(items) {
+  return Promise.all(
+    items.map(async (item) => {
+      if (item.kind !== "image" || !item.source) return item;
+      return { ...item, source: await createImageBitmap(item.source) };
+    })
+  );
+}
+
+async function composeInWorker({ drawing, items, scaleX, scaleY, type, quality }) {
+  const drawingBitmap = await createImageBitmap(drawing);
+  const bitmapItems = await toBitmapItems(items);
+  const transfer = [
+    drawingBitmap,
+    ...bitmapItems.filter((item) => item.kind === "image" && item.source).map((item) => item.source),
+  ];
+  const id = nextRequestId;
+  nextRequestId += 1;
+  return new Promise((resolve, reject) => {
+    const timer = window.setTimeout(() => {
+      pending.delete(id);
+      reject(new Error("Export worker timed out"));
+    }, WORKER_TIMEOUT_MS);
+    pending.set(id, {
+      resolve(blob) {
+        window.clearTimeout(timer);
+        resolve(blob);
+      },
+      reject(err) {
+        window.clearTimeout(timer);
+        reject(err);
+      },
+    });
+    getWorker().postMessage(
+      {
+        id,
+        drawing: drawingBitmap,
+        items: bitmapItems,
+        width: drawing.width,
+        height: drawing.height,
+        scaleX,
+        scaleY,
+        type,
+        quality,
+      },
+      transfer
+    );
+  });
+}
+
+async function composeOnMainThread({ drawing, items, scaleX, scaleY, type, quality }) {
+  const canvas = document.createElement("canvas");
+  canvas.width = drawing.width;
+  canvas.height = drawing.height;
+  await drawComposite(canvas.getContext("2d"), { drawing, items, scaleX, scaleY, type });
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Export failed"))),
+      type,
+      quality
+    );
+  });
+}
+
+// Encodes the drawing plus sticker items into an image Blob. Browsers that
+// can't encode the requested type (WebP in older Safari) fall back to PNG, so
+// callers should read the actual type from `blob.type`.
+export async function composeImage({ drawing, items = [], scaleX, scaleY, format, quality }) {
+  const options = {
+    drawing,
+    items,
+    scaleX,
+    scaleY,
+    type: getExportType(format),
+    quality: getExportQuality(quality),
+  };
+  if (supportsWorkerExport()) {
+    try {
+      return await composeInWorker(options);
+    } catch (err) {
+      // fall through to the main thread
+    }
+  }
+  return composeOnMainThread(options);
+}
@@ -0,0 +1,89 @@
+export function createHistory({ onChange } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+  let group = null;
+
+  function notify() {
+    if (typeof onChange === "function") {
+      onChange({ canUndo: canUndo(), canRedo: canRedo() });
+    }
+  }
+
+  function canUndo() {
+    return undoStack.length > 0;
+  }
+
+  function canRedo() {
+    return redoStack.length > 0;
+  }
+
+  // Commands are { undo, redo } pairs recorded after the change has already
+  // been applied, so pushing never runs redo.
+  function push(command) {
+    if (group) {
+      group.push(command);
+      return;
+    }
+    undoStack.push(command);
+    redoStack.length = 0;
+    notify();
+  }
+
+  function batch(apply) {
+    if (group) {
+      apply();
+      return;
+    }
+    group = [];
+    try {
+      apply();
+    } finally {
+      const commands = group;
+      group = null;
+      if (commands.length > 0) {
+        push({
+          undo() {
+            for (let i = commands.length - 1; i >= 0; i -= 1) {
+              commands[i].undo();
+            }
+          },
+          redo() {
+            commands.forEach((command) => command.redo());
+          },
+        });
+      }
+    }
+  }
+
+  function undo() {
+    if (!canUndo()) return;
+    const command = undoStack.pop();
+    command.undo();
+    redoStack.push(command);
+    notify();
+  }
+
+  function redo() {
+    if (!canRedo()) return;
+    const command = redoStack.pop();
+    command.redo();
+    undoStack.push(command);
+    notify();
+  }
+
+  function reset() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    notify();
+  }
+
+  return {
+    push,
+    batch,
+    undo,
+    redo,
+    reset,
+    canUndo,
+    canRedo,
+  };
+}
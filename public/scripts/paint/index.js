@@ -1,57 +1,396 @@
+import { campaignApiUrl, campaignId, loadCampaign } from "./campaign.js";
+import { createDraftAutosave } from "./draft.js";
+import { createHistory } from "./history.js";
+import { createKioskMode, isKioskRequested, readIdleTimeout } from "./kiosk.js";
 import { createPainter } from "./painter.js";
+import { createPalette } from "./palette.js";
+import { createStickerPanel } from "./sticker-panel.js";
 import { createStickerManager } from "./stickers.js";
+import { createSubmissionForm } from "./submission.js";
+import { DEFAULT_TEXT_FONT, TEXT_FONTS, loadTextFont } from "./text.js";
+import { createUploadQueue } from "./upload-queue.js";
+import { createZoomController } from "./zoom.js";
 
 const canvas = document.querySelector("canvas");
-const colorBtns = document.querySelectorAll(".color-btn");
+const canvasViewport = document.querySelector("#canvasViewport");
+const canvasStage = document.querySelector("#canvasStage");
+const zoomInBtn = document.querySelector("#zoomIn");
+const zoomOutBtn = document.querySelector("#zoomOut");
+const zoomResetBtn = document.querySelector("#zoomReset");
+const gridSnapBtn = document.querySelector("#gridSnap");
+const swatchList = document.querySelector("#paletteSwatches");
+const customColorInput = document.querySelector("#customColor");
 const eraserBtn = document.querySelector("#eraser");
+const recentColorList = document.querySelector("#recentColors");
+const brushSizeList = document.querySelector("#brushSizes");
+const opacityInput = document.querySelector("#opacityRange");
+const eraserSizeInput = document.querySelector("#eraserSizeRange");
+const toolOptions = document.querySelector("#toolOptions");
+const shapeFilledInput = document.querySelector("#shapeFilled");
+const fillToleranceInput = document.querySelector("#fillTolerance");
 const downloadBtn = document.querySelector("#download");
+const uploadPendingBadge = document.querySelector("#uploadPending");
+const submissionDialog = document.querySelector("#submissionDialog");
 const undoBtn = document.querySelector("#undo");
+const redoBtn = document.querySelector("#redo");
+const clearBtn = document.querySelector("#clear");
 const stickerLayer = document.querySelector("#stickerLayer");
-const stickerButtons = document.querySelectorAll(".big-sticker, .small-sticker");
+const stickerPanelEl = document.querySelector("#stickerPanel");
+const addTextBtn = document.querySelector("#addText");
+const textFontSelect = document.querySelector("#textFont");
+const textColorInput = document.querySelector("#textColor");
+const stickerActions = document.querySelector("#stickerActions");
+const stickerAnnouncer = document.querySelector("#stickerAnnouncer");
+const kioskAttract = document.querySelector("#kioskAttract");
+const kioskThanks = document.querySelector("#kioskThanks");
+const kioskNotice = document.querySelector("#kioskNotice");
+const titleMain = document.querySelector(".title-main");
+const titleSub = document.querySelector(".title-sub");
 
 const BIG_STICKER_SIZE = 160;
 const SMALL_STICKER_SIZE = 110;
+const MAX_EXPORT_WIDTH = 4096;
+const PIXEL_RATIO_DELAY_MS = 250;
+const GRID_SNAP_STORAGE_KEY = "paint.gridSnap";
+const EXPORT_CONFIG_STORAGE_KEY = `paint.exportConfig.${campaignId || "default"}`;
 
-const painter = createPainter({ canvas, colorBtns, eraserBtn });
+function updateHistoryButtons({ canUndo, canRedo }) {
+  undoBtn.disabled = !canUndo;
+  redoBtn.disabled = !canRedo;
+}
+
+let draftAutosave = null;
+
+function handleHistoryChange(state) {
+  updateHistoryButtons(state);
+  if (draftAutosave) {
+    draftAutosave.schedule();
+  }
+}
+
+const commandHistory = createHistory({ onChange: handleHistoryChange });
+
+const painter = createPainter({ canvas, history: commandHistory });
 painter.bindCanvas();
-painter.bindTools();
 
-const stickerManager = createStickerManager({ stickerLayer });
+// The backing store follows the device pixel ratio times the zoom level, so
+// strokes stay crisp on retina tablets and while zoomed in. Re-rendering is
+// debounced because a pinch fires many scale changes.
+let viewScale = 1;
+let pixelRatioTimer = null;
+
+function updatePixelRatio() {
+  pixelRatioTimer = null;
+  painter.setPixelRatio((window.devicePixelRatio || 1) * viewScale);
+}
+
+function schedulePixelRatioUpdate() {
+  if (pixelRatioTimer) {
+    window.clearTimeout(pixelRatioTimer);
+  }
+  pixelRatioTimer = window.setTimeout(updatePixelRatio, PIXEL_RATIO_DELAY_MS);
+}
+
+function watchDevicePixelRatio() {
+  const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+  query.addEventListener(
+    "change",
+    () => {
+      schedulePixelRatioUpdate();
+      watchDevicePixelRatio();
+    },
+    { once: true }
+  );
+}
+
+watchDevicePixelRatio();
+
+let exportConfigPromise = null;
+
+function readStoredExportConfig() {
+  try {
+    return JSON.parse(localStorage.getItem(EXPORT_CONFIG_STORAGE_KEY));
+  } catch (err) {
+    return null;
+  }
+}
+
+function storeExportConfig(config) {
+  try {
+    localStorage.setItem(EXPORT_CONFIG_STORAGE_KEY, JSON.stringify(config));
+  } catch (err) {
+    // storage may be unavailable in private mode
+  }
+}
+
+// The server derives the export width from the Luux slot size and only
+// accepts drawings of that size. The last config is kept so a kiosk that went
+// offline still exports drawings the server will take once they are retried;
+// a failed fetch is not cached so the next save asks again.
+function loadExportConfig() {
+  if (!exportConfigPromise) {
+    exportConfigPromise = fetch(campaignApiUrl("/api/export-config"))
+      .then((res) => (res.ok ? res.json() : null))
+      .catch(() => null)
+      .then((config) => {
+        if (config) {
+          storeExportConfig(config);
+        } else {
+          exportConfigPromise = null;
+        }
+        return config || readStoredExportConfig();
+      });
+  }
+  return exportConfigPromise;
+}
+
+// Other campaigns replace the BTS headline with their own title.
+async function applyCampaign() {
+  if (!campaignId) return;
+  const campaign = await loadCampaign();
+  if (!campaign) return;
+  titleMain.textContent = campaign.title;
+  titleSub.textContent = campaign.subtitle;
+  titleSub.hidden = !campaign.subtitle;
+  kioskAttract.querySelector(".kiosk-screen-main").textContent = campaign.title;
+  document.title = campaign.title;
+}
+
+function getExportWidth(config) {
+  const width = Number(config?.outputWidth);
+  if (!Number.isFinite(width) || width <= 0) {
+    return undefined;
+  }
+  return Math.min(Math.round(width), MAX_EXPORT_WIDTH);
+}
+
+const palette = createPalette({
+  painter,
+  swatchList,
+  customInput: customColorInput,
+  eraserBtn,
+  recentList: recentColorList,
+  sizeList: brushSizeList,
+  opacityInput,
+  eraserSizeInput,
+  toolList: toolOptions,
+  shapeFillInput: shapeFilledInput,
+  toleranceInput: fillToleranceInput,
+});
+palette.bind();
+
+function syncTextControls(selection) {
+  if (!selection || selection.kind !== "text") return;
+  textFontSelect.value = selection.font;
+  textColorInput.value = selection.color;
+}
+
+function syncStickerActions(selection) {
+  stickerActions.hidden = !selection;
+  if (!selection) return;
+  stickerActions.querySelector('[data-action="flip"]').disabled = selection.kind !== "image";
+  stickerActions.querySelector('[data-action="forward"]').disabled = !selection.canBringForward;
+  stickerActions.querySelector('[data-action="backward"]').disabled = !selection.canSendBackward;
+}
+
+function handleSelectionChange(selection) {
+  syncTextControls(selection);
+  syncStickerActions(selection);
+}
+
+const zoomController = createZoomController({
+  viewport: canvasViewport,
+  stage: canvasStage,
+  zoomInBtn,
+  zoomOutBtn,
+  zoomResetBtn,
+  zoomLabel: zoomResetBtn,
+  onGestureStart: () => {
+    painter.cancelStroke();
+    stickerManager.cancelInteraction();
+  },
+  onScaleChange: (scale) => {
+    viewScale = scale;
+    schedulePixelRatioUpdate();
+  },
+  // Two fingers on a sticker rotate and scale the sticker, not the canvas.
+  ignorePointer: (e) => Boolean(e.target.closest(".sticker-item")),
+});
+
+const stickerManager = createStickerManager({
+  stickerLayer,
+  history: commandHistory,
+  onSelectionChange: handleSelectionChange,
+  getVisibleRect: zoomController.getVisibleRect,
+  announcer: stickerAnnouncer,
+});
 stickerManager.bind();
+zoomController.bind();
+loadExportConfig();
+applyCampaign();
+
+draftAutosave = createDraftAutosave({ painter, stickerManager });
+draftAutosave.bind();
+
+const uploadQueue = createUploadQueue({ badge: uploadPendingBadge });
+uploadQueue.bind();
+
+const submissionForm = createSubmissionForm({ dialog: submissionDialog });
+submissionForm.bind();
+
+function hasDrawing() {
+  return painter.serialize().commands.length > 0 || stickerManager.serialize().length > 0;
+}
+
+function resetDrawing() {
+  painter.cancelStroke();
+  stickerManager.cancelInteraction();
+  painter.restore({ commands: [] });
+  stickerManager.restore([]);
+  commandHistory.reset();
+  zoomController.reset();
+  draftAutosave.clear();
+  submissionForm.reset();
+}
+
+const kiosk = isKioskRequested()
+  ? createKioskMode({
+      attractScreen: kioskAttract,
+      thankYouScreen: kioskThanks,
+      notice: kioskNotice,
+      zoomArea: canvasViewport,
+      hasContent: hasDrawing,
+      onReset: resetDrawing,
+      idleTimeout: readIdleTimeout(),
+    })
+  : null;
+
+if (kiosk) {
+  kiosk.bind();
+}
+
+// A kiosk never offers the previous fan's unfinished drawing to the next one.
+draftAutosave
+  .restore({
+    confirmRestore: () => !kiosk && confirm("저장하지 않은 그림이 있어요. 이어서 그릴까요?"),
+  })
+  .then((restored) => {
+    if (restored) {
+      commandHistory.reset();
+    }
+  });
 
-undoBtn.addEventListener("click", painter.undo);
+updateHistoryButtons({ canUndo: commandHistory.canUndo(), canRedo: commandHistory.canRedo() });
+
+undoBtn.addEventListener("click", commandHistory.undo);
+redoBtn.addEventListener("click", commandHistory.redo);
+clearBtn.addEventListener("click", () => {
+  commandHistory.batch(() => {
+    painter.clear();
+    stickerManager.clearAll();
+  });
+});
 
 async function downloadCanvas() {
-  const image = await stickerManager.exportComposite(canvas);
+  const submission = await submissionForm.request();
+  if (submission === undefined) return;
+  downloadBtn.disabled = true;
   try {
-    const res = await fetch("/api/upload", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ dataUrl: image }),
+    const config = await loadExportConfig();
+    const drawing = painter.renderImage({ width: getExportWidth(config) });
+    const blob = await stickerManager.exportComposite(drawing, {
+      format: config?.format,
+      quality: config?.quality,
     });
-
-    if (!res.ok) {
-      throw new Error("Upload failed");
+    const result = await uploadQueue.submit(blob, submission);
+    await draftAutosave.clear();
+    // A queued drawing is safe in IndexedDB and goes up on its own once the
+    // connection is back, so the fan can move on either way.
+    if (kiosk) {
+      kiosk.showThankYou();
+    } else if (result.status === "queued") {
+      alert("인터넷 연결이 불안정해서 그림을 보관해 두었어요. 연결되면 자동으로 전송됩니다.");
+    } else {
+      alert(`저장 완료: ${result.data.filename}`);
     }
-
-    const data = await res.json();
-    alert(`저장 완료: ${data.filename}`);
   } catch (err) {
-    alert("저장에 실패했습니다. 서버가 켜져있는지 확인해주세요.");
+    if (kiosk) {
+      kiosk.showNotice("저장에 실패했어요. 잠시 후 다시 눌러주세요.");
+    } else {
+      alert("저장에 실패했습니다. 서버가 켜져있는지 확인해주세요.");
+    }
+  } finally {
+    downloadBtn.disabled = false;
   }
 }
 
 downloadBtn.addEventListener("click", downloadCanvas);
 
-stickerButtons.forEach((button) => {
+const stickerPanel = createStickerPanel({
+  panel: stickerPanelEl,
+  onPick: (src, sizeClass, label) => {
+    const size = sizeClass === "big" ? BIG_STICKER_SIZE : SMALL_STICKER_SIZE;
+    stickerManager.addSticker(src, size, label);
+  },
+});
+stickerPanel.bind();
+stickerPanel.load();
+
+TEXT_FONTS.forEach((font) => {
+  const option = document.createElement("option");
+  option.value = font.id;
+  option.textContent = font.label;
+  option.style.fontFamily = font.family;
+  textFontSelect.appendChild(option);
+  // Load every font up front so a kiosk that drops offline can still use them.
+  loadTextFont(font.id);
+});
+textFontSelect.value = DEFAULT_TEXT_FONT;
+
+addTextBtn.addEventListener("click", () => {
+  stickerManager.addText({ font: textFontSelect.value, color: textColorInput.value });
+});
+
+function setGridSnap(enabled) {
+  stickerManager.setGridSnap(enabled);
+  gridSnapBtn.setAttribute("aria-pressed", String(enabled));
+  try {
+    localStorage.setItem(GRID_SNAP_STORAGE_KEY, enabled ? "1" : "0");
+  } catch (err) {
+    // storage may be unavailable in private mode
+  }
+}
+
+function readGridSnap() {
+  try {
+    return localStorage.getItem(GRID_SNAP_STORAGE_KEY) === "1";
+  } catch (err) {
+    return false;
+  }
+}
+
+setGridSnap(readGridSnap());
+gridSnapBtn.addEventListener("click", () => {
+  setGridSnap(gridSnapBtn.getAttribute("aria-pressed") !== "true");
+});
+
+const stickerActionHandlers = {
+  flip: stickerManager.flipSelected,
+  forward: stickerManager.bringForward,
+  backward: stickerManager.sendBackward,
+  duplicate: stickerManager.duplicateSelected,
+};
+
+stickerActions.querySelectorAll("[data-action]").forEach((button) => {
   button.addEventListener("click", () => {
-    const img = button.querySelector("img");
-    if (!img) return;
-    const size = button.classList.contains("big-sticker")
-      ? BIG_STICKER_SIZE
-      : SMALL_STICKER_SIZE;
-    stickerManager.addSticker(img.src, size);
+    stickerActionHandlers[button.dataset.action]?.();
   });
 });
+
+textFontSelect.addEventListener("change", () => {
+  stickerManager.updateSelectedText({ font: textFontSelect.value });
+});
+
+textColorInput.addEventListener("change", () => {
+  stickerManager.updateSelectedText({ color: textColorInput.value });
+});
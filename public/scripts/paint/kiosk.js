@@ -0,0 +1,214 @@
+const KIOSK_PARAM = "kiosk";
+const DEFAULT_IDLE_TIMEOUT_MS = 90 * 1000;
+const DEFAULT_THANK_YOU_MS = 6000;
+const NOTICE_MS = 4000;
+const ACTIVITY_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel"];
+const ZOOM_KEYS = ["+", "=", "-", "_", "0"];
+const EDITABLE_SELECTOR = "input, textarea, select, [contenteditable='true']";
+
+export function isKioskRequested(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  if (!params.has(KIOSK_PARAM)) return false;
+  const value = params.get(KIOSK_PARAM);
+  return value !== "0" && value !== "false";
+}
+
+// `?kiosk&idle=120` overrides the idle timeout in seconds for a single stand.
+export function readIdleTimeout(search = window.location.search) {
+  const seconds = Number(new URLSearchParams(search).get("idle"));
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : DEFAULT_IDLE_TIMEOUT_MS;
+}
+
+function isEditable(target) {
+  return Boolean(target?.closest?.(EDITABLE_SELECTOR));
+}
+
+export function createKioskMode({
+  attractScreen,
+  thankYouScreen,
+  notice,
+  zoomArea,
+  hasContent,
+  onReset,
+  idleTimeout = DEFAULT_IDLE_TIMEOUT_MS,
+  thankYouDuration = DEFAULT_THANK_YOU_MS,
+}) {
+  let idleTimer = null;
+  let thankYouTimer = null;
+  let noticeTimer = null;
+
+  function setScreenVisible(screen, visible) {
+    if (!screen) return;
+    screen.hidden = !visible;
+  }
+
+  function reset() {
+    if (typeof onReset === "function") {
+      onReset();
+    }
+  }
+
+  function showAttract() {
+    setScreenVisible(thankYouScreen, false);
+    setScreenVisible(attractScreen, true);
+  }
+
+  function hideAttract() {
+    setScreenVisible(attractScreen, false);
+  }
+
+  function handleIdle() {
+    idleTimer = null;
+    if (typeof hasContent === "function" && hasContent()) {
+      reset();
+    }
+    showAttract();
+  }
+
+  function restartIdleTimer() {
+    if (idleTimer) {
+      window.clearTimeout(idleTimer);
+    }
+    idleTimer = window.setTimeout(handleIdle, idleTimeout);
+  }
+
+  function finishThankYou() {
+    if (thankYouTimer) {
+      window.clearTimeout(thankYouTimer);
+      thankYouTimer = null;
+    }
+    setScreenVisible(thankYouScreen, false);
+    restartIdleTimer();
+  }
+
+  // The drawing is cleared straight away so the next fan never sees it, even
+  // if they tap through the thank-you screen immediately.
+  function showThankYou() {
+    reset();
+    setScreenVisible(thankYouScreen, true);
+    if (thankYouTimer) {
+      window.clearTimeout(thankYouTimer);
+    }
+    thankYouTimer = window.setTimeout(() => {
+      thankYouTimer = null;
+      showAttract();
+    }, thankYouDuration);
+  }
+
+  function showNotice(message) {
+    if (!notice) return;
+    notice.textContent = message;
+    notice.hidden = false;
+    if (noticeTimer) {
+      window.clearTimeout(noticeTimer);
+    }
+    noticeTimer = window.setTimeout(() => {
+      noticeTimer = null;
+      notice.hidden = true;
+    }, NOTICE_MS);
+  }
+
+  function dismissScreen(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.currentTarget === thankYouScreen) {
+      finishThankYou();
+      return;
+    }
+    hideAttract();
+    restartIdleTimer();
+  }
+
+  function preventOutsideZoomArea(e) {
+    if (zoomArea && zoomArea.contains(e.target)) return;
+    e.preventDefault();
+  }
+
+  function blockGestures() {
+    // Pinch zoom is only allowed inside the drawing viewport, which handles
+    // it itself; everywhere else it would zoom the whole page.
+    document.addEventListener(
+      "touchmove",
+      (e) => {
+        if (e.touches.length > 1) {
+          preventOutsideZoomArea(e);
+        }
+      },
+      { passive: false }
+    );
+    document.addEventListener(
+      "wheel",
+      (e) => {
+        if (e.ctrlKey) {
+          preventOutsideZoomArea(e);
+        }
+      },
+      { passive: false }
+    );
+    // Safari's proprietary pinch events.
+    ["gesturestart", "gesturechange"].forEach((type) => {
+      document.addEventListener(type, (e) => e.preventDefault());
+    });
+    document.addEventListener("contextmenu", (e) => e.preventDefault());
+    document.addEventListener("dragstart", (e) => e.preventDefault());
+    document.addEventListener("selectstart", (e) => {
+      if (!isEditable(e.target)) {
+        e.preventDefault();
+      }
+    });
+  }
+
+  function blockNavigation() {
+    document.addEventListener("keydown", (e) => {
+      const zoomKey = (e.ctrlKey || e.metaKey) && ZOOM_KEYS.includes(e.key);
+      const historyKey = e.altKey && (e.key === "ArrowLeft" || e.key === "ArrowRight");
+      const reloadKey = e.key === "F5" || ((e.ctrlKey || e.metaKey) && e.key === "r");
+      const backKey = e.key === "Backspace" && !isEditable(e.target);
+      if (zoomKey || historyKey || reloadKey || backKey) {
+        e.preventDefault();
+      }
+    });
+    // Swipe-back and the browser back button pop this extra entry instead of
+    // leaving the page.
+    window.history.pushState({ kiosk: true }, "", window.location.href);
+    window.addEventListener("popstate", () => {
+      window.history.pushState({ kiosk: true }, "", window.location.href);
+    });
+    document.addEventListener("click", (e) => {
+      const link = e.target.closest("a[href]");
+      if (link) {
+        e.preventDefault();
+      }
+    });
+  }
+
+  function lockViewport() {
+    const meta = document.querySelector('meta[name="viewport"]');
+    if (meta) {
+      meta.setAttribute(
+        "content",
+        "width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no"
+      );
+    }
+  }
+
+  function bind() {
+    document.body.classList.add("kiosk");
+    lockViewport();
+    blockGestures();
+    blockNavigation();
+    ACTIVITY_EVENTS.forEach((type) => {
+      document.addEventListener(type, restartIdleTimer, { capture: true, passive: true });
+    });
+    attractScreen?.addEventListener("pointerdown", dismissScreen);
+    thankYouScreen?.addEventListener("pointerdown", dismissScreen);
+    showAttract();
+    restartIdleTimer();
+  }
+
+  return {
+    bind,
+    showThankYou,
+    showNotice,
+  };
+}
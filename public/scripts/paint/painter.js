@@ -1,92 +1,331 @@
-export function createPainter({ canvas, colorBtns, eraserBtn }) {
-  const ctx = canvas.getContext("2d");
-  canvas.style.touchAction = "none";
+import {
+  createStrokeBuilder,
+  drawStroke,
+  drawStrokeEnd,
+  drawStrokeSegment,
+  readPointerSample,
+} from "./brush.js";
+import { SHAPE_TOOLS, drawShape, floodFill, isShapeVisible } from "./shapes.js";
 
-  ctx.lineWidth = 5;
-  ctx.strokeStyle = "black";
+const DEFAULT_COLOR = "#000000";
+const DEFAULT_BRUSH_SIZE = 5;
+const DEFAULT_ERASER_SIZE = 20;
+const DEFAULT_FILL_TOLERANCE = 32;
+const MIN_OPACITY = 0.05;
+const TOOLS = ["pen", "eraser", ...SHAPE_TOOLS, "fill"];
+const MAX_PIXEL_RATIO = 3;
+
+// A surface is a canvas whose context is scaled so that drawing code always
+// works in logical (CSS pixel) coordinates, whatever the backing resolution.
+function setupSurface(canvas, width, height, scale) {
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(scale, 0, 0, scale, 0, 0);
   ctx.lineCap = "round";
   ctx.lineJoin = "round";
+  return { canvas, ctx, scale };
+}
+
+function createSurface(width, height, scale) {
+  return setupSurface(document.createElement("canvas"), width, height, scale);
+}
+
+function clearSurface(surface) {
+  surface.ctx.save();
+  surface.ctx.setTransform(1, 0, 0, 1, 0, 0);
+  surface.ctx.clearRect(0, 0, surface.canvas.width, surface.canvas.height);
+  surface.ctx.restore();
+}
+
+function copySurface(target, source, opacity = 1) {
+  target.ctx.save();
+  target.ctx.setTransform(1, 0, 0, 1, 0, 0);
+  target.ctx.globalAlpha = opacity;
+  target.ctx.drawImage(source.canvas, 0, 0);
+  target.ctx.restore();
+}
+
+export function createPainter({ canvas, history }) {
+  canvas.style.touchAction = "none";
+
+  const logicalWidth = canvas.width;
+  const logicalHeight = canvas.height;
+  canvas.style.width = `${logicalWidth}px`;
+  canvas.style.height = `${logicalHeight}px`;
+
+  let pixelRatio = 1;
+  let display = null;
+  // Translucent strokes are drawn opaque on a scratch layer and composited
+  // once, so overlapping segments don't darken the joins.
+  let strokeLayer = null;
+  let baseLayer = null;
+
+  function setupDisplay(ratio) {
+    pixelRatio = ratio;
+    display = setupSurface(canvas, logicalWidth, logicalHeight, ratio);
+    strokeLayer = createSurface(logicalWidth, logicalHeight, ratio);
+    baseLayer = createSurface(logicalWidth, logicalHeight, ratio);
+  }
+
+  setupDisplay(Math.min(window.devicePixelRatio || 1, MAX_PIXEL_RATIO));
+
+  const brush = {
+    color: DEFAULT_COLOR,
+    size: DEFAULT_BRUSH_SIZE,
+    opacity: 1,
+    eraserSize: DEFAULT_ERASER_SIZE,
+    tool: "pen",
+    shapeFilled: false,
+    fillTolerance: DEFAULT_FILL_TOLERANCE,
+  };
 
   let isDrawing = false;
-  let isErasing = false;
-  const ERASER_SIZE = 20;
-  let hasStroke = false;
-  const history = [];
-  const MAX_HISTORY = 20;
-
-  function saveSnapshot() {
-    history.push(canvas.toDataURL("image/png", 1.0));
-    while (history.length > MAX_HISTORY) {
-      history.shift();
+  let stroke = null;
+  let activeRecord = null;
+  let activeShape = null;
+  const commands = [];
+
+  function hasVisibleStrokes() {
+    const last = commands[commands.length - 1];
+    return Boolean(last) && last.type !== "clear";
+  }
+
+  function pushCommand(command) {
+    commands.push(command);
+    history.push({
+      undo() {
+        commands.pop();
+        render();
+      },
+      redo() {
+        commands.push(command);
+        render();
+      },
+    });
+  }
+
+  function isTranslucent(record) {
+    return !record.eraser && record.opacity < 1;
+  }
+
+  function renderRecord(surface, scratch, record) {
+    if (isTranslucent(record)) {
+      clearSurface(scratch);
+      withStrokeStyle(scratch.ctx, record, () => drawStroke(scratch.ctx, record.points));
+      copySurface(surface, scratch, record.opacity);
+      return;
     }
+    withStrokeStyle(surface.ctx, record, () => drawStroke(surface.ctx, record.points));
   }
 
-  function restoreSnapshot() {
-    if (history.length === 0) return;
-    const img = new Image();
-    img.onload = () => {
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(img, 0, 0);
-    };
-    img.src = history[history.length - 1];
+  // Returns false when the command left the surface untouched (an empty fill).
+  function renderCommand(surface, scratch, command) {
+    if (command.type === "stroke") {
+      renderRecord(surface, scratch, command.record);
+    } else if (command.type === "shape") {
+      drawShape(surface.ctx, command.shape);
+    } else if (command.type === "fill") {
+      // Flood fill works on raw pixels, so its seed point is scaled by hand.
+      return floodFill(
+        surface.ctx,
+        command.x * surface.scale,
+        command.y * surface.scale,
+        command.options
+      );
+    }
+    return true;
   }
 
+  function getVisibleCommands() {
+    for (let i = commands.length - 1; i >= 0; i -= 1) {
+      if (commands[i].type === "clear") {
+        return commands.slice(i + 1);
+      }
+    }
+    return commands.slice();
+  }
+
+  function renderSurface(surface, scratch) {
+    clearSurface(surface);
+    getVisibleCommands().forEach((command) => renderCommand(surface, scratch, command));
+  }
+
+  function render() {
+    renderSurface(display, strokeLayer);
+  }
+
+  // Replays the drawing at `width` output pixels, independent of the screen.
+  function renderImage({ width } = {}) {
+    const outputWidth = Number(width) > 0 ? Number(width) : logicalWidth * pixelRatio;
+    const scale = outputWidth / logicalWidth;
+    const surface = createSurface(logicalWidth, logicalHeight, scale);
+    renderSurface(surface, createSurface(logicalWidth, logicalHeight, scale));
+    return surface.canvas;
+  }
+
+  function setPixelRatio(ratio) {
+    const next = Math.min(Math.max(Number(ratio) || 1, 1), MAX_PIXEL_RATIO);
+    if (Math.abs(next - pixelRatio) < 0.01) return;
+    setupDisplay(next);
+    render();
+  }
+
+  function snapshotBase() {
+    clearSurface(baseLayer);
+    copySurface(baseLayer, display);
+  }
+
+  function restoreBase() {
+    clearSurface(display);
+    copySurface(display, baseLayer);
+  }
+
+  // The stage may be zoomed with a CSS transform, so client coordinates are
+  // scaled back by the ratio between the canvas size and its on-screen box.
   function getCanvasPoint(e) {
     const rect = canvas.getBoundingClientRect();
+    const scaleX = logicalWidth / rect.width;
+    const scaleY = logicalHeight / rect.height;
+    let client = e;
     if (e.touches && e.touches.length > 0) {
-      return {
-        x: e.touches[0].clientX - rect.left,
-        y: e.touches[0].clientY - rect.top,
-      };
-    }
-    if (e.changedTouches && e.changedTouches.length > 0) {
-      return {
-        x: e.changedTouches[0].clientX - rect.left,
-        y: e.changedTouches[0].clientY - rect.top,
-      };
+      client = e.touches[0];
+    } else if (e.changedTouches && e.changedTouches.length > 0) {
+      client = e.changedTouches[0];
     }
     return {
-      x: e.clientX - rect.left,
-      y: e.clientY - rect.top,
+      x: (client.clientX - rect.left) * scaleX,
+      y: (client.clientY - rect.top) * scaleY,
     };
   }
 
+  function withStrokeStyle(targetCtx, record, draw) {
+    targetCtx.save();
+    targetCtx.strokeStyle = record.color;
+    if (record.eraser) {
+      targetCtx.globalCompositeOperation = "destination-out";
+    }
+    draw();
+    targetCtx.restore();
+  }
+
+  function drawActiveStroke(draw) {
+    if (!isTranslucent(activeRecord)) {
+      withStrokeStyle(display.ctx, activeRecord, () => draw(display.ctx));
+      return;
+    }
+    withStrokeStyle(strokeLayer.ctx, activeRecord, () => draw(strokeLayer.ctx));
+    restoreBase();
+    copySurface(display, strokeLayer, activeRecord.opacity);
+  }
+
+  function getSamples(e) {
+    const coalesced = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+    const events = coalesced.length > 0 ? coalesced : [e];
+    return events.map((event) => readPointerSample(event, getCanvasPoint(event)));
+  }
+
+  function startStroke(e) {
+    const erasing = brush.tool === "eraser";
+    const width = erasing ? brush.eraserSize : brush.size;
+    stroke = createStrokeBuilder({ baseWidth: width, dynamic: !erasing });
+    activeRecord = {
+      points: stroke.points,
+      color: brush.color,
+      width,
+      opacity: erasing ? 1 : brush.opacity,
+      eraser: erasing,
+    };
+    if (isTranslucent(activeRecord)) {
+      clearSurface(strokeLayer);
+      snapshotBase();
+    }
+    stroke.addSample(readPointerSample(e, getCanvasPoint(e)));
+  }
+
+  function startShape(e) {
+    const point = getCanvasPoint(e);
+    activeShape = {
+      type: brush.tool,
+      from: point,
+      to: point,
+      color: brush.color,
+      width: brush.size,
+      opacity: brush.opacity,
+      filled: brush.shapeFilled,
+    };
+    snapshotBase();
+  }
+
+  function applyFill(e) {
+    const { x, y } = getCanvasPoint(e);
+    const command = {
+      type: "fill",
+      x,
+      y,
+      options: {
+        color: brush.color,
+        tolerance: brush.fillTolerance,
+        opacity: brush.opacity,
+      },
+    };
+    if (renderCommand(display, strokeLayer, command)) {
+      pushCommand(command);
+    }
+  }
+
   function startDrawing(e) {
     if (e.button !== undefined && e.button !== 0) return;
+    if (brush.tool === "fill") {
+      applyFill(e);
+      return;
+    }
     isDrawing = true;
-    hasStroke = false;
     if (e.pointerId !== undefined && canvas.setPointerCapture) {
       canvas.setPointerCapture(e.pointerId);
     }
-    const { x, y } = getCanvasPoint(e);
-    ctx.beginPath();
-    ctx.moveTo(x, y);
+    if (SHAPE_TOOLS.includes(brush.tool)) {
+      startShape(e);
+      return;
+    }
+    startStroke(e);
   }
 
   function drawing(e) {
     if (!isDrawing) return;
-    hasStroke = true;
-    const { x, y } = getCanvasPoint(e);
-    if (isErasing) {
-      ctx.save();
-      ctx.globalCompositeOperation = "destination-out";
-      ctx.lineWidth = ERASER_SIZE;
-      ctx.lineTo(x, y);
-      ctx.stroke();
-      ctx.restore();
-    } else {
-      ctx.lineTo(x, y);
-      ctx.stroke();
+    if (activeShape) {
+      activeShape.to = getCanvasPoint(e);
+      restoreBase();
+      drawShape(display.ctx, activeShape);
+      return;
     }
+    if (!stroke) return;
+    const samples = getSamples(e);
+    const added = samples.filter((sample) => stroke.addSample(sample)).length;
+    if (added === 0) return;
+    drawActiveStroke((targetCtx) => {
+      for (let i = stroke.points.length - added; i < stroke.points.length; i += 1) {
+        drawStrokeSegment(targetCtx, stroke.points, i);
+      }
+    });
   }
 
   function stopDrawing(e) {
     if (!isDrawing) return;
     isDrawing = false;
-    ctx.closePath();
-    if (hasStroke) {
-      saveSnapshot();
+    if (activeShape) {
+      restoreBase();
+      if (isShapeVisible(activeShape)) {
+        drawShape(display.ctx, activeShape);
+        pushCommand({ type: "shape", shape: activeShape });
+      }
+    } else if (stroke && stroke.points.length > 0) {
+      drawActiveStroke((targetCtx) => drawStrokeEnd(targetCtx, stroke.points));
+      pushCommand({ type: "stroke", record: activeRecord });
     }
+    stroke = null;
+    activeRecord = null;
+    activeShape = null;
     if (e && e.pointerId !== undefined && canvas.releasePointerCapture) {
       try {
         canvas.releasePointerCapture(e.pointerId);
@@ -96,30 +335,80 @@ export function createPainter({ canvas, colorBtns, eraserBtn }) {
     }
   }
 
-  function startErasing(e) {
-    isErasing = true;
-    colorBtns.forEach((button) => button.classList.remove("selected"));
-    e.currentTarget.classList.add("selected");
+  function cancelStroke() {
+    if (!isDrawing) return;
+    isDrawing = false;
+    stroke = null;
+    activeRecord = null;
+    activeShape = null;
+    render();
+  }
+
+  function getBrush() {
+    return { ...brush };
+  }
+
+  function leaveEraser() {
+    if (brush.tool === "eraser") {
+      brush.tool = "pen";
+    }
+  }
+
+  function setColor(color) {
+    if (!color) return;
+    brush.color = color;
+    leaveEraser();
   }
 
-  function changeColor(e) {
-    isErasing = false;
-    ctx.strokeStyle = e.currentTarget.dataset.color;
+  function setBrushSize(size) {
+    const value = Number(size);
+    if (!Number.isFinite(value) || value <= 0) return;
+    brush.size = value;
+    leaveEraser();
+  }
 
-    colorBtns.forEach((button) => {
-      if (button === e.currentTarget) {
-        button.classList.add("selected");
-      } else {
-        button.classList.remove("selected");
-      }
-    });
-    eraserBtn.classList.remove("selected");
+  function setOpacity(opacity) {
+    const value = Number(opacity);
+    if (!Number.isFinite(value)) return;
+    brush.opacity = Math.min(Math.max(value, MIN_OPACITY), 1);
   }
 
-  function undo() {
-    if (history.length <= 1) return;
-    history.pop();
-    restoreSnapshot();
+  function setEraserSize(size) {
+    const value = Number(size);
+    if (!Number.isFinite(value) || value <= 0) return;
+    brush.eraserSize = value;
+  }
+
+  function setTool(tool) {
+    if (!TOOLS.includes(tool)) return;
+    brush.tool = tool;
+  }
+
+  function setShapeFilled(filled) {
+    brush.shapeFilled = Boolean(filled);
+  }
+
+  function setFillTolerance(tolerance) {
+    const value = Number(tolerance);
+    if (!Number.isFinite(value)) return;
+    brush.fillTolerance = Math.min(Math.max(Math.round(value), 0), 255);
+  }
+
+  function clear() {
+    if (!hasVisibleStrokes()) return;
+    pushCommand({ type: "clear" });
+    render();
+  }
+
+  function serialize() {
+    return { commands: getVisibleCommands() };
+  }
+
+  function restore(state) {
+    const restored = Array.isArray(state?.commands) ? state.commands : [];
+    commands.length = 0;
+    restored.forEach((command) => commands.push(command));
+    render();
   }
 
   function bindCanvas() {
@@ -132,21 +421,27 @@ export function createPainter({ canvas, colorBtns, eraserBtn }) {
     window.addEventListener("pointercancel", stopDrawing);
   }
 
-  function bindTools() {
-    colorBtns.forEach((button) => button.addEventListener("click", changeColor));
-    eraserBtn.addEventListener("click", startErasing);
-  }
-
-  saveSnapshot();
-
   return {
     canvas,
-    ctx,
+    logicalWidth,
+    logicalHeight,
     bindCanvas,
-    bindTools,
-    undo,
-    getDataUrl() {
-      return canvas.toDataURL("image/png", 1.0);
+    cancelStroke,
+    clear,
+    serialize,
+    restore,
+    getBrush,
+    setColor,
+    setBrushSize,
+    setOpacity,
+    setEraserSize,
+    setTool,
+    setShapeFilled,
+    setFillTolerance,
+    setPixelRatio,
+    getPixelRatio() {
+      return pixelRatio;
     },
+    renderImage,
   };
 }
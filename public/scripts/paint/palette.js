@@ -0,0 +1,215 @@
+const RECENT_STORAGE_KEY = "paint.recentColors";
+const MAX_RECENT_COLORS = 6;
+
+export const DEFAULT_PRESET_COLORS = [
+  { color: "#000000", label: "검정색" },
+  { color: "#ffffff", label: "흰색" },
+  { color: "#e53935", label: "빨간색" },
+  { color: "#8e5cc7", label: "보라색" },
+  { color: "#ff6fa5", label: "분홍색" },
+  { color: "#ff9800", label: "주황색" },
+  { color: "#fdd835", label: "노란색" },
+  { color: "#43a047", label: "초록색" },
+  { color: "#1e88e5", label: "파란색" },
+  { color: "#f8bbd0", label: "파스텔 분홍" },
+  { color: "#d1c4e9", label: "파스텔 보라" },
+  { color: "#b3e5fc", label: "파스텔 하늘" },
+  { color: "#c8e6c9", label: "파스텔 민트" },
+  { color: "#fff9c4", label: "파스텔 노랑" },
+];
+
+export const DEFAULT_BRUSH_SIZES = [3, 5, 9, 14, 22];
+
+function normalizeColor(color) {
+  return String(color || "").trim().toLowerCase();
+}
+
+function readRecentColors() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed.filter((color) => typeof color === "string") : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeRecentColors(colors) {
+  try {
+    localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(colors));
+  } catch (err) {
+    // storage may be unavailable in private mode
+  }
+}
+
+export function createPalette({
+  painter,
+  swatchList,
+  customInput,
+  eraserBtn,
+  recentList,
+  sizeList,
+  opacityInput,
+  eraserSizeInput,
+  toolList,
+  shapeFillInput,
+  toleranceInput,
+  presets = DEFAULT_PRESET_COLORS,
+  sizes = DEFAULT_BRUSH_SIZES,
+}) {
+  let recentColors = readRecentColors().slice(0, MAX_RECENT_COLORS);
+
+  function createColorButton(color, label) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "color-btn";
+    button.dataset.color = normalizeColor(color);
+    button.style.backgroundColor = color;
+    button.style.color = color;
+    button.setAttribute("aria-label", label);
+    button.addEventListener("click", () => selectColor(color));
+    return button;
+  }
+
+  function renderPresets() {
+    const customItem = customInput?.closest("li") || null;
+    presets.forEach(({ color, label }) => {
+      const item = document.createElement("li");
+      item.appendChild(createColorButton(color, label));
+      swatchList.insertBefore(item, customItem);
+    });
+  }
+
+  function renderRecent() {
+    if (!recentList) return;
+    recentList.replaceChildren();
+    recentColors.forEach((color) => {
+      const item = document.createElement("li");
+      item.appendChild(createColorButton(color, `최근 색 ${color}`));
+      recentList.appendChild(item);
+    });
+    recentList.closest(".palette-row")?.classList.toggle("is-empty", recentColors.length === 0);
+  }
+
+  function renderSizes() {
+    if (!sizeList) return;
+    sizes.forEach((size) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "size-btn";
+      button.dataset.size = String(size);
+      button.setAttribute("aria-label", `굵기 ${size}`);
+      const dot = document.createElement("span");
+      dot.className = "size-dot";
+      dot.style.width = `${size}px`;
+      dot.style.height = `${size}px`;
+      button.appendChild(dot);
+      button.addEventListener("click", () => {
+        painter.setBrushSize(size);
+        sync();
+      });
+      sizeList.appendChild(button);
+    });
+  }
+
+  function rememberColor(color) {
+    const normalized = normalizeColor(color);
+    recentColors = [normalized, ...recentColors.filter((entry) => entry !== normalized)].slice(
+      0,
+      MAX_RECENT_COLORS
+    );
+    writeRecentColors(recentColors);
+    renderRecent();
+  }
+
+  function selectColor(color) {
+    painter.setColor(normalizeColor(color));
+    rememberColor(color);
+    sync();
+  }
+
+  function sync() {
+    const brush = painter.getBrush();
+    const erasing = brush.tool === "eraser";
+    const current = normalizeColor(brush.color);
+    const colorButtons = [
+      ...swatchList.querySelectorAll(".color-btn"),
+      ...(recentList ? recentList.querySelectorAll(".color-btn") : []),
+    ];
+    colorButtons.forEach((button) => {
+      button.classList.toggle("selected", !erasing && button.dataset.color === current);
+    });
+    sizeList?.querySelectorAll(".size-btn").forEach((button) => {
+      const isCurrent = Number(button.dataset.size) === brush.size;
+      button.classList.toggle("selected", !erasing && isCurrent);
+    });
+    sizeList?.style.setProperty("--brush-color", brush.color);
+    eraserBtn.classList.toggle("selected", erasing);
+    toolList?.querySelectorAll("[data-tool]").forEach((button) => {
+      button.classList.toggle("selected", button.dataset.tool === brush.tool);
+    });
+    if (customInput && !erasing) {
+      customInput.value = current;
+    }
+    if (opacityInput) {
+      opacityInput.value = String(Math.round(brush.opacity * 100));
+    }
+    if (eraserSizeInput) {
+      eraserSizeInput.value = String(brush.eraserSize);
+    }
+    if (shapeFillInput) {
+      shapeFillInput.checked = brush.shapeFilled;
+    }
+    if (toleranceInput) {
+      toleranceInput.value = String(brush.fillTolerance);
+    }
+  }
+
+  function bind() {
+    renderPresets();
+    renderRecent();
+    renderSizes();
+
+    customInput?.addEventListener("input", () => {
+      painter.setColor(normalizeColor(customInput.value));
+      sync();
+    });
+    customInput?.addEventListener("change", () => {
+      rememberColor(customInput.value);
+      sync();
+    });
+    eraserBtn.addEventListener("click", () => {
+      painter.setTool("eraser");
+      sync();
+    });
+    toolList?.querySelectorAll("[data-tool]").forEach((button) => {
+      button.addEventListener("click", () => {
+        painter.setTool(button.dataset.tool);
+        sync();
+      });
+    });
+    shapeFillInput?.addEventListener("change", () => {
+      painter.setShapeFilled(shapeFillInput.checked);
+      sync();
+    });
+    toleranceInput?.addEventListener("input", () => {
+      painter.setFillTolerance(Number(toleranceInput.value));
+      sync();
+    });
+    opacityInput?.addEventListener("input", () => {
+      painter.setOpacity(Number(opacityInput.value) / 100);
+      sync();
+    });
+    eraserSizeInput?.addEventListener("input", () => {
+      painter.setEraserSize(Number(eraserSizeInput.value));
+      painter.setTool("eraser");
+      sync();
+    });
+
+    sync();
+  }
+
+  return {
+    bind,
+    sync,
+  };
+}
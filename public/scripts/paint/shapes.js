@@ -0,0 +1,154 @@
+export const SHAPE_TOOLS = ["line", "rect", "ellipse", "heart"];
+export const MIN_SHAPE_SIZE = 2;
+
+let colorCtx = null;
+
+function getBounds(shape) {
+  const x = Math.min(shape.from.x, shape.to.x);
+  const y = Math.min(shape.from.y, shape.to.y);
+  return {
+    x,
+    y,
+    w: Math.abs(shape.to.x - shape.from.x),
+    h: Math.abs(shape.to.y - shape.from.y),
+  };
+}
+
+function traceHeart(ctx, { x, y, w, h }) {
+  const top = y + h * 0.3;
+  const bottomControl = y + (h + h * 0.3) / 2;
+  ctx.moveTo(x + w / 2, top);
+  ctx.bezierCurveTo(x + w / 2, y, x, y, x, top);
+  ctx.bezierCurveTo(x, bottomControl, x + w / 2, bottomControl, x + w / 2, y + h);
+  ctx.bezierCurveTo(x + w / 2, bottomControl, x + w, bottomControl, x + w, top);
+  ctx.bezierCurveTo(x + w, y, x + w / 2, y, x + w / 2, top);
+  ctx.closePath();
+}
+
+export function isShapeVisible(shape) {
+  const { w, h } = getBounds(shape);
+  return Math.max(w, h) >= MIN_SHAPE_SIZE;
+}
+
+export function drawShape(ctx, shape) {
+  const bounds = getBounds(shape);
+  ctx.save();
+  ctx.globalAlpha = shape.opacity;
+  ctx.strokeStyle = shape.color;
+  ctx.fillStyle = shape.color;
+  ctx.lineWidth = shape.width;
+  ctx.beginPath();
+  if (shape.type === "line") {
+    ctx.moveTo(shape.from.x, shape.from.y);
+    ctx.lineTo(shape.to.x, shape.to.y);
+  } else if (shape.type === "rect") {
+    ctx.rect(bounds.x, bounds.y, bounds.w, bounds.h);
+  } else if (shape.type === "ellipse") {
+    ctx.ellipse(
+      bounds.x + bounds.w / 2,
+      bounds.y + bounds.h / 2,
+      bounds.w / 2,
+      bounds.h / 2,
+      0,
+      0,
+      Math.PI * 2
+    );
+  } else if (shape.type === "heart") {
+    traceHeart(ctx, bounds);
+  }
+  if (shape.filled && shape.type !== "line") {
+    ctx.fill();
+  } else {
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+function parseColor(color) {
+  if (!colorCtx) {
+    const canvas = document.createElement("canvas");
+    canvas.width = 1;
+    canvas.height = 1;
+    colorCtx = canvas.getContext("2d", { willReadFrequently: true });
+  }
+  colorCtx.clearRect(0, 0, 1, 1);
+  colorCtx.fillStyle = color;
+  colorCtx.fillRect(0, 0, 1, 1);
+  const [r, g, b, a] = colorCtx.getImageData(0, 0, 1, 1).data;
+  return { r, g, b, a };
+}
+
+// Scanline flood fill over the canvas pixels. Tolerance is the largest
+// per-channel difference (0-255) that still counts as the seed color.
+export function floodFill(ctx, x, y, { color, tolerance = 32, opacity = 1 }) {
+  const { width, height } = ctx.canvas;
+  const startX = Math.floor(x);
+  const startY = Math.floor(y);
+  if (startX < 0 || startY < 0 || startX >= width || startY >= height) return false;
+
+  const image = ctx.getImageData(0, 0, width, height);
+  const data = image.data;
+  const seed = (startY * width + startX) * 4;
+  const target = [data[seed], data[seed + 1], data[seed + 2], data[seed + 3]];
+  const fill = parseColor(color);
+  const fillAlpha = (fill.a / 255) * opacity;
+
+  function matches(offset) {
+    return (
+      Math.abs(data[offset] - target[0]) <= tolerance &&
+      Math.abs(data[offset + 1] - target[1]) <= tolerance &&
+      Math.abs(data[offset + 2] - target[2]) <= tolerance &&
+      Math.abs(data[offset + 3] - target[3]) <= tolerance
+    );
+  }
+
+  function paint(offset) {
+    const destAlpha = data[offset + 3] / 255;
+    const outAlpha = fillAlpha + destAlpha * (1 - fillAlpha);
+    if (outAlpha > 0) {
+      const keep = destAlpha * (1 - fillAlpha);
+      data[offset] = Math.round((fill.r * fillAlpha + data[offset] * keep) / outAlpha);
+      data[offset + 1] = Math.round((fill.g * fillAlpha + data[offset + 1] * keep) / outAlpha);
+      data[offset + 2] = Math.round((fill.b * fillAlpha + data[offset + 2] * keep) / outAlpha);
+    }
+    data[offset + 3] = Math.round(outAlpha * 255);
+  }
+
+  const visited = new Uint8Array(width * height);
+  const stack = [[startX, startY]];
+  let painted = 0;
+
+  while (stack.length > 0) {
+    const [px, py] = stack.pop();
+    let left = px;
+    while (left > 0 && !visited[py * width + left - 1] && matches((py * width + left - 1) * 4)) {
+      left -= 1;
+    }
+    let spanAbove = false;
+    let spanBelow = false;
+    for (let cx = left; cx < width; cx += 1) {
+      const index = py * width + cx;
+      if (visited[index] || !matches(index * 4)) break;
+      visited[index] = 1;
+      paint(index * 4);
+      painted += 1;
+
+      if (py > 0) {
+        const above = index - width;
+        const canFill = !visited[above] && matches(above * 4);
+        if (canFill && !spanAbove) stack.push([cx, py - 1]);
+        spanAbove = canFill;
+      }
+      if (py < height - 1) {
+        const below = index + width;
+        const canFill = !visited[below] && matches(below * 4);
+        if (canFill && !spanBelow) stack.push([cx, py + 1]);
+        spanBelow = canFill;
+      }
+    }
+  }
+
+  if (painted === 0) return false;
+  ctx.putImageData(image, 0, 0);
+  return true;
+}
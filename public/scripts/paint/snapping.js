@@ -0,0 +1,54 @@
+export const SNAP_THRESHOLD = 6;
+export const GRID_SIZE = 20;
+
+// Axis-aligned bounds of a box of size w×h at (x, y) rotated by `rotation`
+// degrees around its center.
+export function getRotatedBounds(x, y, w, h, rotation = 0) {
+  const angle = (rotation * Math.PI) / 180;
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const halfW = (w * cos + h * sin) / 2;
+  const halfH = (w * sin + h * cos) / 2;
+  const centerX = x + w / 2;
+  const centerY = y + h / 2;
+  return {
+    left: centerX - halfW,
+    right: centerX + halfW,
+    top: centerY - halfH,
+    bottom: centerY + halfH,
+    centerX,
+    centerY,
+  };
+}
+
+export function collectSnapTargets(bounds, layerSize) {
+  const targets = {
+    x: [0, layerSize.width / 2, layerSize.width],
+    y: [0, layerSize.height / 2, layerSize.height],
+  };
+  bounds.forEach((box) => {
+    targets.x.push(box.left, box.centerX, box.right);
+    targets.y.push(box.top, box.centerY, box.bottom);
+  });
+  return targets;
+}
+
+// Finds the closest pair of a moving line and a target line within
+// `threshold`. Returns the offset to apply and the target to draw a guide at.
+export function findSnap(values, targets, threshold) {
+  let best = null;
+  values.forEach((value) => {
+    targets.forEach((target) => {
+      const distance = Math.abs(target - value);
+      if (distance > threshold) return;
+      if (!best || distance < Math.abs(best.offset)) {
+        best = { offset: target - value, target };
+      }
+    });
+  });
+  return best;
+}
+
+export function snapToGrid(value, size = GRID_SIZE) {
+  return Math.round(value / size) * size;
+}
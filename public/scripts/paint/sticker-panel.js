@@ -0,0 +1,83 @@
+const STICKER_SIZE_CLASSES = ["big", "small"];
+
+function createStickerButton(sticker) {
+  const sizeClass = STICKER_SIZE_CLASSES.includes(sticker.size) ? sticker.size : "small";
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = `${sizeClass}-sticker`;
+  button.setAttribute("aria-label", sticker.name);
+
+  const img = document.createElement("img");
+  img.className = `${sizeClass}-sticker-img`;
+  img.src = sticker.url;
+  img.alt = sticker.name;
+  button.appendChild(img);
+  return button;
+}
+
+function createPackElement(pack, showTitle) {
+  const fragment = document.createDocumentFragment();
+  if (showTitle) {
+    const title = document.createElement("h3");
+    title.className = "sticker-pack-title";
+    title.textContent = pack.name;
+    fragment.appendChild(title);
+  }
+
+  const packEl = document.createElement("div");
+  packEl.className = "sticker-pack";
+  STICKER_SIZE_CLASSES.forEach((sizeClass) => {
+    const stickers = pack.stickers.filter((sticker) =>
+      sizeClass === "big" ? sticker.size === "big" : sticker.size !== "big"
+    );
+    if (stickers.length === 0) return;
+    const column = document.createElement("div");
+    column.className = `${sizeClass}-sticker-container`;
+    stickers.forEach((sticker) => column.appendChild(createStickerButton(sticker)));
+    packEl.appendChild(column);
+  });
+  fragment.appendChild(packEl);
+  return fragment;
+}
+
+// The panel starts with the built-in stickers from the HTML and is replaced by
+// the server catalog once it loads; if the request fails the built-ins stay.
+export function createStickerPanel({ panel, onPick }) {
+  function render(packs) {
+    const visible = packs.filter(
+      (pack) => Array.isArray(pack?.stickers) && pack.stickers.length > 0
+    );
+    if (visible.length === 0) return;
+    panel.replaceChildren();
+    visible.forEach((pack) => {
+      panel.appendChild(createPackElement(pack, visible.length > 1));
+    });
+  }
+
+  async function load() {
+    try {
+      const res = await fetch("/api/stickers");
+      if (!res.ok) return false;
+      const data = await res.json();
+      render(Array.isArray(data?.packs) ? data.packs : []);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  function bind() {
+    panel.addEventListener("click", (e) => {
+      const button = e.target.closest(".big-sticker, .small-sticker");
+      if (!button || !panel.contains(button)) return;
+      const img = button.querySelector("img");
+      if (!img) return;
+      onPick(img.src, button.classList.contains("big-sticker") ? "big" : "small", img.alt);
+    });
+  }
+
+  return {
+    bind,
+    load,
+  };
+}
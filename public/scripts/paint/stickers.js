@@ -1,19 +1,91 @@
+import { composeImage } from "./export.js";
+import {
+  DEFAULT_TEXT_FONT,
+  DEFAULT_TEXT_SIZE,
+  TEXT_LINE_HEIGHT,
+  TEXT_MIN_SIZE,
+  getTextFont,
+  loadTextFont,
+  measureTextBox,
+} from "./text.js";
+import {
+  SNAP_THRESHOLD,
+  collectSnapTargets,
+  findSnap,
+  getRotatedBounds,
+  snapToGrid,
+} from "./snapping.js";
+
 const STICKER_LONG_PRESS_MS = 400;
 const STICKER_MIN_SIZE = 40;
+const DUPLICATE_OFFSET = 16;
+const KEY_MOVE_STEP = 1;
+const KEY_MOVE_STEP_LARGE = 10;
+const KEY_SCALE_STEP = 1.1;
+const DEFAULT_STICKER_LABEL = "스티커";
 
 function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
-export function createStickerManager({ stickerLayer }) {
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function normalizeRotation(degrees) {
+  const value = ((degrees % 360) + 360) % 360;
+  return value > 180 ? value - 360 : value;
+}
+
+// Rotates a vector by `degrees`, matching CSS `rotate()` in a y-down space.
+function rotateVector(x, y, degrees) {
+  const angle = toRadians(degrees);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return { x: x * cos - y * sin, y: x * sin + y * cos };
+}
+
+function getPointerAngle(a, b) {
+  return (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI;
+}
+
+export function createStickerManager({
+  stickerLayer,
+  history,
+  onSelectionChange,
+  getVisibleRect,
+  announcer,
+}) {
   const stickers = new Map();
   let activeStickerId = null;
   let dragState = null;
   let longPressTimer = null;
   let longPressInfo = null;
+  let gridSnap = false;
+  const guideEls = { x: [], y: [] };
 
-  function getLayerRect() {
-    return stickerLayer.getBoundingClientRect();
+  // Sticker geometry lives in the layer's own (untransformed) pixels; the
+  // stage can be zoomed, so sizes come from offsetWidth rather than the
+  // on-screen box.
+  function getLayerSize() {
+    return { width: stickerLayer.offsetWidth, height: stickerLayer.offsetHeight };
+  }
+
+  function getLayerScale() {
+    const rect = stickerLayer.getBoundingClientRect();
+    const scale = stickerLayer.offsetWidth ? rect.width / stickerLayer.offsetWidth : 1;
+    return Number.isFinite(scale) && scale > 0 ? scale : 1;
+  }
+
+  function getCenteredPosition(width, height) {
+    const size = getLayerSize();
+    const visible = typeof getVisibleRect === "function" ? getVisibleRect() : null;
+    const centerX = visible ? visible.x + visible.width / 2 : size.width / 2;
+    const centerY = visible ? visible.y + visible.height / 2 : size.height / 2;
+    return {
+      x: clamp(centerX - width / 2, 0, Math.max(size.width - width, 0)),
+      y: clamp(centerY - height / 2, 0, Math.max(size.height - height, 0)),
+    };
   }
 
   function setStickerPosition(sticker, x, y) {
@@ -30,6 +102,108 @@ export function createStickerManager({ stickerLayer }) {
     sticker.el.style.height = `${height}px`;
   }
 
+  // Rotation and flip are presentation only: x/y/w/h stay the unrotated box
+  // and the element turns around its center, the same way the export does.
+  function setStickerRotation(sticker, rotation) {
+    sticker.rotation = normalizeRotation(rotation);
+    sticker.el.style.transform = sticker.rotation ? `rotate(${sticker.rotation}deg)` : "";
+  }
+
+  function setStickerFlip(sticker, flipX) {
+    sticker.flipX = Boolean(flipX);
+    if (sticker.imgEl) {
+      sticker.imgEl.style.transform = sticker.flipX ? "scaleX(-1)" : "";
+    }
+  }
+
+  function getStickerCenter(sticker) {
+    return { x: sticker.x + sticker.w / 2, y: sticker.y + sticker.h / 2 };
+  }
+
+  function setStickerCenter(sticker, center) {
+    const rect = getLayerSize();
+    setStickerPosition(
+      sticker,
+      clamp(center.x, 0, rect.width) - sticker.w / 2,
+      clamp(center.y, 0, rect.height) - sticker.h / 2
+    );
+  }
+
+  // Top-left corner of the rotated box in layer coordinates.
+  function getStickerCorner(sticker) {
+    const center = getStickerCenter(sticker);
+    const offset = rotateVector(-sticker.w / 2, -sticker.h / 2, sticker.rotation);
+    return { x: center.x + offset.x, y: center.y + offset.y };
+  }
+
+  // Resizing grows the box away from its (rotated) top-left corner, so that
+  // corner is pinned back in place after the size changes.
+  function keepStickerCorner(sticker, corner) {
+    const offset = rotateVector(sticker.w / 2, sticker.h / 2, sticker.rotation);
+    setStickerPosition(
+      sticker,
+      corner.x + offset.x - sticker.w / 2,
+      corner.y + offset.y - sticker.h / 2
+    );
+  }
+
+  function getTransformState(sticker) {
+    return {
+      x: sticker.x,
+      y: sticker.y,
+      w: sticker.w,
+      h: sticker.h,
+      rotation: sticker.rotation,
+      flipX: sticker.flipX,
+      fontSize: sticker.fontSize,
+      hasCustomSize: sticker.hasCustomSize,
+    };
+  }
+
+  function applyTransformState(sticker, state) {
+    if (sticker.kind === "text") {
+      sticker.fontSize = state.fontSize;
+      applyTextStyle(sticker);
+      const size = measureTextBox(sticker);
+      setStickerSize(sticker, size.width, size.height);
+    } else {
+      sticker.hasCustomSize = state.hasCustomSize;
+      setStickerSize(sticker, state.w, state.h);
+    }
+    setStickerPosition(sticker, state.x, state.y);
+    setStickerRotation(sticker, state.rotation);
+    setStickerFlip(sticker, state.flipX);
+  }
+
+  function isSameTransform(a, b) {
+    return (
+      a.x === b.x &&
+      a.y === b.y &&
+      a.w === b.w &&
+      a.h === b.h &&
+      a.rotation === b.rotation &&
+      a.flipX === b.flipX &&
+      a.fontSize === b.fontSize
+    );
+  }
+
+  function recordTransform(sticker, from) {
+    const to = getTransformState(sticker);
+    if (isSameTransform(from, to)) {
+      sticker.hasCustomSize = from.hasCustomSize;
+      return false;
+    }
+    history.push({
+      undo() {
+        applyTransformState(sticker, from);
+      },
+      redo() {
+        applyTransformState(sticker, to);
+      },
+    });
+    return true;
+  }
+
   function getStickerRatio(sticker) {
     if (sticker.ratio && Number.isFinite(sticker.ratio)) {
       return sticker.ratio;
@@ -60,67 +234,238 @@ export function createStickerManager({ stickerLayer }) {
     return { minW: STICKER_MIN_SIZE, minH: STICKER_MIN_SIZE / ratio };
   }
 
+  function announce(message) {
+    if (!announcer) return;
+    // Clearing first makes screen readers repeat an identical message.
+    announcer.textContent = "";
+    window.setTimeout(() => {
+      announcer.textContent = message;
+    }, 50);
+  }
+
+  function getStickerName(sticker) {
+    if (sticker.kind === "text") {
+      const text = String(sticker.text || "").trim();
+      return text ? `텍스트: ${text}` : "빈 텍스트";
+    }
+    return sticker.label || DEFAULT_STICKER_LABEL;
+  }
+
+  function updateAccessibleName(sticker) {
+    sticker.el.setAttribute("aria-label", getStickerName(sticker));
+  }
+
+  function getStickerElements() {
+    return Array.from(stickerLayer.querySelectorAll(".sticker-item"));
+  }
+
+  function detachSticker(sticker) {
+    const index = getStickerElements().indexOf(sticker.el);
+    stickers.delete(sticker.id);
+    sticker.el.remove();
+    if (activeStickerId === sticker.id) {
+      activeStickerId = null;
+      notifySelectionChange();
+    }
+    return index;
+  }
+
+  function attachSticker(sticker, index) {
+    const elements = getStickerElements();
+    const before = index >= 0 ? elements[index] : null;
+    stickerLayer.insertBefore(sticker.el, before || null);
+    stickers.set(sticker.id, sticker);
+  }
+
+  function removeSticker(sticker) {
+    if (!stickers.has(sticker.id)) return;
+    const index = detachSticker(sticker);
+    announce(`${getStickerName(sticker)} 삭제됨`);
+    history.push({
+      undo() {
+        attachSticker(sticker, index);
+      },
+      redo() {
+        detachSticker(sticker);
+      },
+    });
+  }
+
+  function clearAll() {
+    history.batch(() => {
+      Array.from(stickers.values()).forEach(removeSticker);
+    });
+  }
+
+  function notifySelectionChange() {
+    if (typeof onSelectionChange !== "function") return;
+    const sticker = stickers.get(activeStickerId);
+    if (!sticker) {
+      onSelectionChange(null);
+      return;
+    }
+    const elements = getStickerElements();
+    const index = elements.indexOf(sticker.el);
+    onSelectionChange({
+      id: sticker.id,
+      kind: sticker.kind,
+      font: sticker.font,
+      color: sticker.color,
+      rotation: sticker.rotation,
+      flipX: sticker.flipX,
+      canBringForward: index < elements.length - 1,
+      canSendBackward: index > 0,
+    });
+  }
+
   function clearSelection() {
     activeStickerId = null;
     stickers.forEach((sticker) => {
+      stopEditing(sticker);
       sticker.el.classList.remove("selected");
-      sticker.el.style.zIndex = "1";
     });
+    notifySelectionChange();
   }
 
   function selectSticker(id) {
     activeStickerId = id;
     stickers.forEach((sticker) => {
       const isActive = sticker.id === id;
+      if (!isActive) {
+        stopEditing(sticker);
+      }
       sticker.el.classList.toggle("selected", isActive);
-      sticker.el.style.zIndex = isActive ? "10" : "1";
     });
+    notifySelectionChange();
   }
 
-  function createStickerElement(src) {
+  function createItemElement(content, deleteLabel) {
     const wrapper = document.createElement("div");
     wrapper.className = "sticker-item";
     wrapper.dataset.id = `sticker-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    wrapper.tabIndex = 0;
+    wrapper.setAttribute("role", "group");
+    wrapper.setAttribute("aria-roledescription", "스티커");
+    wrapper.setAttribute(
+      "aria-description",
+      "화살표로 이동, Shift와 함께 크게 이동, +와 -로 크기 조절, Delete로 삭제"
+    );
 
-    const img = document.createElement("img");
-    img.src = src;
-    img.alt = "";
-
+    // Delete is a key on the focused sticker, so Tab goes sticker to sticker.
     const deleteBtn = document.createElement("button");
     deleteBtn.type = "button";
+    deleteBtn.tabIndex = -1;
     deleteBtn.className = "sticker-delete";
     deleteBtn.textContent = "×";
-    deleteBtn.setAttribute("aria-label", "스티커 삭제");
+    deleteBtn.setAttribute("aria-label", deleteLabel);
 
     const handle = document.createElement("div");
     handle.className = "sticker-handle";
     handle.setAttribute("aria-hidden", "true");
 
-    wrapper.appendChild(img);
+    const rotateHandle = document.createElement("div");
+    rotateHandle.className = "sticker-rotate";
+    rotateHandle.setAttribute("aria-hidden", "true");
+
+    wrapper.appendChild(content);
     wrapper.appendChild(deleteBtn);
     wrapper.appendChild(handle);
+    wrapper.appendChild(rotateHandle);
 
-    return { wrapper, img, deleteBtn, handle };
+    return { wrapper, deleteBtn, handle, rotateHandle };
   }
 
-  function addSticker(src, size) {
-    const { wrapper, img, deleteBtn, handle } = createStickerElement(src);
+  function createStickerElement(src) {
+    const img = document.createElement("img");
+    img.src = src;
+    img.alt = "";
+    return { ...createItemElement(img, "스티커 삭제"), img };
+  }
+
+  function createTextElement() {
+    const textarea = document.createElement("textarea");
+    textarea.className = "sticker-text-input";
+    textarea.rows = 1;
+    textarea.spellcheck = false;
+    textarea.setAttribute("wrap", "off");
+    textarea.tabIndex = -1;
+    textarea.setAttribute("aria-label", "메시지 입력");
+    const parts = createItemElement(textarea, "텍스트 삭제");
+    parts.wrapper.classList.add("sticker-text");
+    return { ...parts, textarea };
+  }
+
+  function bindItemEvents(sticker, { deleteBtn, handle, rotateHandle }) {
+    const { id, el: wrapper } = sticker;
+
+    deleteBtn.addEventListener("click", (e) => {
+      e.stopPropagation();
+      removeSticker(sticker);
+    });
+
+    handle.addEventListener("pointerdown", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      selectSticker(id);
+      startResize(e, sticker);
+    });
+
+    rotateHandle.addEventListener("pointerdown", (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      selectSticker(id);
+      startRotate(e, sticker);
+    });
+
+    wrapper.addEventListener("pointerdown", (e) => {
+      if (e.button !== undefined && e.button !== 0) return;
+      if (e.target === deleteBtn || e.target === handle || e.target === rotateHandle) return;
+      if (sticker.editing) return;
+      e.preventDefault();
+      if (e.pointerType === "touch" && startGesture(e, sticker)) return;
+      if (activeStickerId === id) {
+        startDrag(e, sticker, { tapToEdit: sticker.kind === "text" });
+        return;
+      }
+      startLongPress(e, sticker);
+    });
+
+    wrapper.addEventListener("focus", () => {
+      if (activeStickerId !== id) {
+        selectSticker(id);
+      }
+    });
+
+    wrapper.addEventListener("keydown", (e) => {
+      if (e.target !== wrapper) return;
+      handleStickerKey(e, sticker);
+    });
+  }
+
+  function createImageSticker(src, size, placement = null, label = "") {
+    const { wrapper, img, deleteBtn, handle, rotateHandle } = createStickerElement(src);
     stickerLayer.appendChild(wrapper);
 
     const id = wrapper.dataset.id;
-    const rect = getLayerRect();
-    const ratio =
+    const naturalRatio =
       img.complete && img.naturalWidth && img.naturalHeight
         ? img.naturalWidth / img.naturalHeight
         : 1;
-    const initialSize = getSizeForRatio(size, ratio);
+    const ratio = placement ? placement.w / placement.h : naturalRatio;
+    const initialSize = placement
+      ? { width: placement.w, height: placement.h }
+      : getSizeForRatio(size, ratio);
     const width = initialSize.width;
     const height = initialSize.height;
-    const x = clamp((rect.width - width) / 2, 0, rect.width - width);
-    const y = clamp((rect.height - height) / 2, 0, rect.height - height);
+    let { x, y } = getCenteredPosition(width, height);
+    if (placement) {
+      x = placement.x;
+      y = placement.y;
+    }
 
     const sticker = {
       id,
+      kind: "image",
       src,
       el: wrapper,
       imgEl: img,
@@ -130,13 +475,18 @@ export function createStickerManager({ stickerLayer }) {
       h: height,
       ratio,
       baseSize: size,
-      hasCustomSize: false,
+      hasCustomSize: Boolean(placement),
+      rotation: 0,
+      flipX: false,
+      label: label || placement?.label || "",
     };
 
     stickers.set(id, sticker);
+    updateAccessibleName(sticker);
     setStickerSize(sticker, width, height);
     setStickerPosition(sticker, x, y);
-    selectSticker(id);
+    setStickerRotation(sticker, placement?.rotation || 0);
+    setStickerFlip(sticker, placement?.flipX);
 
     img.addEventListener("load", () => {
       if (sticker.hasCustomSize) return;
@@ -149,7 +499,7 @@ export function createStickerManager({ stickerLayer }) {
       const sized = getSizeForRatio(sticker.baseSize, nextRatio);
       const nextW = sized.width;
       const nextH = sized.height;
-      const layerRect = getLayerRect();
+      const layerRect = getLayerSize();
       const nextX = clamp(centerX - nextW / 2, 0, layerRect.width - nextW);
       const nextY = clamp(centerY - nextH / 2, 0, layerRect.height - nextH);
       sticker.ratio = nextRatio;
@@ -157,59 +507,407 @@ export function createStickerManager({ stickerLayer }) {
       setStickerPosition(sticker, nextX, nextY);
     });
 
-    deleteBtn.addEventListener("click", (e) => {
-      e.stopPropagation();
-      stickers.delete(id);
-      wrapper.remove();
-      if (activeStickerId === id) {
-        activeStickerId = null;
+    bindItemEvents(sticker, { deleteBtn, handle, rotateHandle });
+    return sticker;
+  }
+
+  function addSticker(src, size, label = "") {
+    const sticker = createImageSticker(src, size, null, label);
+    selectSticker(sticker.id);
+    announce(`${getStickerName(sticker)} 추가됨`);
+    history.push({
+      undo() {
+        detachSticker(sticker);
+      },
+      redo() {
+        attachSticker(sticker, -1);
+      },
+    });
+  }
+
+  function applyTextStyle(sticker) {
+    const font = getTextFont(sticker.font);
+    const input = sticker.inputEl;
+    input.style.fontFamily = font.family;
+    input.style.fontWeight = String(font.weight);
+    input.style.fontSize = `${sticker.fontSize}px`;
+    input.style.lineHeight = String(TEXT_LINE_HEIGHT);
+    input.style.color = sticker.color;
+    // Measure again once the bundled font arrives; until then the box is
+    // sized for the fallback font.
+    const fontId = sticker.font;
+    loadTextFont(fontId).then(() => {
+      if (sticker.font === fontId && stickers.get(sticker.id) === sticker) {
+        layoutText(sticker);
       }
     });
+  }
 
-    handle.addEventListener("pointerdown", (e) => {
-      e.preventDefault();
+  // Text boxes keep their center while the content changes size, so rotated
+  // text doesn't drift as it is typed.
+  function layoutText(sticker) {
+    const size = measureTextBox(sticker);
+    const rect = getLayerSize();
+    if (sticker.rotation) {
+      const center = getStickerCenter(sticker);
+      setStickerSize(sticker, size.width, size.height);
+      setStickerCenter(sticker, center);
+      return;
+    }
+    setStickerSize(sticker, size.width, size.height);
+    setStickerPosition(
+      sticker,
+      clamp(sticker.x, 0, Math.max(rect.width - size.width, 0)),
+      clamp(sticker.y, 0, Math.max(rect.height - size.height, 0))
+    );
+  }
+
+  function setTextContent(sticker, text) {
+    sticker.text = text;
+    if (sticker.inputEl.value !== text) {
+      sticker.inputEl.value = text;
+    }
+    layoutText(sticker);
+    updateAccessibleName(sticker);
+  }
+
+  function setTextStyle(sticker, { font, color, fontSize }) {
+    sticker.font = font;
+    sticker.color = color;
+    sticker.fontSize = fontSize;
+    applyTextStyle(sticker);
+    layoutText(sticker);
+  }
+
+  function getTextStyle(sticker) {
+    return { font: sticker.font, color: sticker.color, fontSize: sticker.fontSize };
+  }
+
+  function startEditing(sticker) {
+    if (sticker.kind !== "text" || sticker.editing) return;
+    sticker.editing = true;
+    sticker.el.classList.add("editing");
+    sticker.inputEl.focus();
+    if (sticker.committedText === null) {
+      sticker.inputEl.select();
+    }
+  }
+
+  function stopEditing(sticker) {
+    if (!sticker.editing) return;
+    sticker.editing = false;
+    sticker.el.classList.remove("editing");
+    if (document.activeElement === sticker.inputEl) {
+      sticker.inputEl.blur();
+    }
+    commitText(sticker);
+  }
+
+  // New text boxes only enter the history once they hold text; edits that
+  // empty an existing box remove it the same way the × button does.
+  function commitText(sticker) {
+    const text = sticker.text;
+    const previous = sticker.committedText;
+    const isEmpty = text.trim() === "";
+
+    if (previous === null) {
+      if (isEmpty) {
+        detachSticker(sticker);
+        return;
+      }
+      sticker.committedText = text;
+      history.push({
+        undo() {
+          detachSticker(sticker);
+        },
+        redo() {
+          attachSticker(sticker, -1);
+        },
+      });
+      return;
+    }
+
+    if (isEmpty) {
+      setTextContent(sticker, previous);
+      removeSticker(sticker);
+      return;
+    }
+
+    if (text === previous) return;
+    sticker.committedText = text;
+    history.push({
+      undo() {
+        sticker.committedText = previous;
+        setTextContent(sticker, previous);
+      },
+      redo() {
+        sticker.committedText = text;
+        setTextContent(sticker, text);
+      },
+    });
+  }
+
+  function createTextSticker({ text, font, color, fontSize, committed, rotation = 0 }) {
+    const { wrapper, textarea, deleteBtn, handle, rotateHandle } = createTextElement();
+    stickerLayer.appendChild(wrapper);
+
+    const sticker = {
+      id: wrapper.dataset.id,
+      kind: "text",
+      el: wrapper,
+      inputEl: textarea,
+      text,
+      committedText: committed ? text : null,
+      editing: false,
+      font,
+      color,
+      fontSize,
+      x: 0,
+      y: 0,
+      w: 0,
+      h: 0,
+      rotation: 0,
+      flipX: false,
+    };
+
+    stickers.set(sticker.id, sticker);
+    applyTextStyle(sticker);
+    setTextContent(sticker, text);
+    setStickerRotation(sticker, rotation);
+
+    textarea.addEventListener("input", () => {
+      setTextContent(sticker, textarea.value);
+    });
+    textarea.addEventListener("keydown", (e) => {
       e.stopPropagation();
-      selectSticker(id);
-      startResize(e, sticker);
+      if (e.key === "Escape" && !e.isComposing) {
+        e.preventDefault();
+        stopEditing(sticker);
+        if (stickers.has(sticker.id)) {
+          wrapper.focus();
+        }
+      }
+    });
+    textarea.addEventListener("blur", () => {
+      stopEditing(sticker);
     });
 
-    wrapper.addEventListener("pointerdown", (e) => {
-      if (e.button !== undefined && e.button !== 0) return;
-      if (e.target === deleteBtn || e.target === handle) return;
-      e.preventDefault();
-      if (activeStickerId === id) {
-        startDrag(e, sticker);
-        return;
+    bindItemEvents(sticker, { deleteBtn, handle, rotateHandle });
+    return sticker;
+  }
+
+  function addText({
+    text = "메시지",
+    font = DEFAULT_TEXT_FONT,
+    color = "#000000",
+    fontSize = DEFAULT_TEXT_SIZE,
+  } = {}) {
+    const sticker = createTextSticker({ text, font, color, fontSize, committed: false });
+    const position = getCenteredPosition(sticker.w, sticker.h);
+    setStickerPosition(sticker, position.x, position.y);
+    selectSticker(sticker.id);
+    startEditing(sticker);
+  }
+
+  function updateSelectedText(style) {
+    const sticker = stickers.get(activeStickerId);
+    if (!sticker || sticker.kind !== "text") return false;
+    const from = getTextStyle(sticker);
+    const to = { ...from, ...style };
+    if (from.font === to.font && from.color === to.color && from.fontSize === to.fontSize) {
+      return true;
+    }
+    setTextStyle(sticker, to);
+    notifySelectionChange();
+    if (sticker.committedText !== null) {
+      history.push({
+        undo() {
+          setTextStyle(sticker, from);
+        },
+        redo() {
+          setTextStyle(sticker, to);
+        },
+      });
+    }
+    return true;
+  }
+
+  function getStickerBounds(sticker, x = sticker.x, y = sticker.y) {
+    return getRotatedBounds(x, y, sticker.w, sticker.h, sticker.rotation);
+  }
+
+  function getSnapTargets(sticker) {
+    const others = Array.from(stickers.values())
+      .filter((entry) => entry !== sticker)
+      .map((entry) => getStickerBounds(entry));
+    return collectSnapTargets(others, getLayerSize());
+  }
+
+  function showGuides(lines) {
+    ["x", "y"].forEach((axis) => {
+      const positions = lines[axis] || [];
+      while (guideEls[axis].length < positions.length) {
+        const guide = document.createElement("div");
+        guide.className = `sticker-guide sticker-guide-${axis}`;
+        guide.setAttribute("aria-hidden", "true");
+        stickerLayer.appendChild(guide);
+        guideEls[axis].push(guide);
       }
-      startLongPress(e, sticker);
+      guideEls[axis].forEach((guide, index) => {
+        const position = positions[index];
+        guide.hidden = position === undefined;
+        if (position === undefined) return;
+        guide.style[axis === "x" ? "left" : "top"] = `${position}px`;
+      });
     });
   }
 
-  function startDrag(e, sticker) {
+  function hideGuides() {
+    showGuides({ x: [], y: [] });
+  }
+
+  // Snaps one axis of the dragged sticker's bounds to the nearest guide line,
+  // falling back to the grid when it is on. Returns the position delta.
+  function snapAxis(values, targets, threshold, guides) {
+    const snap = findSnap(values, targets, threshold);
+    if (snap) {
+      guides.push(snap.target);
+      return snap.offset;
+    }
+    return gridSnap ? snapToGrid(values[0]) - values[0] : 0;
+  }
+
+  function snapPosition(sticker, x, y, e) {
+    if (e.altKey) return { x, y, guides: { x: [], y: [] } };
+    const bounds = getStickerBounds(sticker, x, y);
+    const threshold = SNAP_THRESHOLD / dragState.viewScale;
+    const { targets } = dragState;
+    const guides = { x: [], y: [] };
+    const dx = snapAxis([bounds.left, bounds.centerX, bounds.right], targets.x, threshold, guides.x);
+    const dy = snapAxis([bounds.top, bounds.centerY, bounds.bottom], targets.y, threshold, guides.y);
+    return { x: x + dx, y: y + dy, guides };
+  }
+
+  // Only upright stickers snap while resizing: their right and bottom edges
+  // are what the handle moves. Returns the scale that lands an edge on a line.
+  function snapScale(sticker, origin, scale, e) {
+    if (e.altKey || origin.rotation) return { scale, guides: { x: [], y: [] } };
+    const threshold = SNAP_THRESHOLD / dragState.viewScale;
+    const { targets } = dragState;
+    const right = origin.x + origin.w * scale;
+    const bottom = origin.y + origin.h * scale;
+    const snapX = findSnap([right], targets.x, threshold);
+    const snapY = findSnap([bottom], targets.y, threshold);
+    if (snapX && (!snapY || Math.abs(snapX.offset) <= Math.abs(snapY.offset))) {
+      return { scale: (snapX.target - origin.x) / origin.w, guides: { x: [snapX.target], y: [] } };
+    }
+    if (snapY) {
+      return { scale: (snapY.target - origin.y) / origin.h, guides: { x: [], y: [snapY.target] } };
+    }
+    if (gridSnap) {
+      return { scale: (snapToGrid(right) - origin.x) / origin.w, guides: { x: [], y: [] } };
+    }
+    return { scale, guides: { x: [], y: [] } };
+  }
+
+  function setGridSnap(enabled) {
+    gridSnap = Boolean(enabled);
+    stickerLayer.classList.toggle("show-grid", gridSnap);
+  }
+
+  function startDrag(e, sticker, { tapToEdit = false } = {}) {
     dragState = {
       type: "drag",
       id: sticker.id,
+      pointerId: e.pointerId,
       startX: e.clientX,
       startY: e.clientY,
-      originX: sticker.x,
-      originY: sticker.y,
+      lastX: e.clientX,
+      lastY: e.clientY,
+      origin: getTransformState(sticker),
+      targets: getSnapTargets(sticker),
+      viewScale: getLayerScale(),
+      tapToEdit,
     };
     sticker.el.setPointerCapture?.(e.pointerId);
   }
 
   function startResize(e, sticker) {
-    sticker.hasCustomSize = true;
     dragState = {
       type: "resize",
       id: sticker.id,
+      pointerId: e.pointerId,
       startX: e.clientX,
       startY: e.clientY,
-      originW: sticker.w,
-      originH: sticker.h,
+      origin: getTransformState(sticker),
+      corner: getStickerCorner(sticker),
+      targets: getSnapTargets(sticker),
+      viewScale: getLayerScale(),
     };
+    sticker.hasCustomSize = true;
     sticker.el.setPointerCapture?.(e.pointerId);
   }
 
+  function getClientCenter(sticker) {
+    const rect = sticker.el.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  }
+
+  function startRotate(e, sticker) {
+    const center = getClientCenter(sticker);
+    dragState = {
+      type: "rotate",
+      id: sticker.id,
+      pointerId: e.pointerId,
+      center,
+      startAngle: getPointerAngle(center, { x: e.clientX, y: e.clientY }),
+      origin: getTransformState(sticker),
+    };
+    sticker.el.setPointerCapture?.(e.pointerId);
+  }
+
+  // A second finger on the sticker being touched turns a drag (or a pending
+  // long press) into a two-finger rotate and scale around the sticker center.
+  function startGesture(e, sticker) {
+    let first = null;
+    let origin = null;
+    if (dragState?.type === "drag" && dragState.id === sticker.id) {
+      first = { pointerId: dragState.pointerId, x: dragState.lastX, y: dragState.lastY };
+      origin = dragState.origin;
+    } else if (longPressInfo?.id === sticker.id) {
+      first = {
+        pointerId: longPressInfo.pointerId,
+        x: longPressInfo.currentX,
+        y: longPressInfo.currentY,
+      };
+      origin = getTransformState(sticker);
+    }
+    if (!first || first.pointerId === e.pointerId) return false;
+
+    clearLongPress();
+    selectSticker(sticker.id);
+    const pointers = new Map([
+      [first.pointerId, { x: first.x, y: first.y }],
+      [e.pointerId, { x: e.clientX, y: e.clientY }],
+    ]);
+    const [a, b] = Array.from(pointers.values());
+    dragState = {
+      type: "gesture",
+      id: sticker.id,
+      pointers,
+      startDistance: Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1),
+      startAngle: getPointerAngle(a, b),
+      startMid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      startCenter: getStickerCenter(sticker),
+      start: getTransformState(sticker),
+      origin,
+      viewScale: getLayerScale(),
+    };
+    sticker.hasCustomSize = true;
+    sticker.el.setPointerCapture?.(e.pointerId);
+    return true;
+  }
+
   function startLongPress(e, sticker) {
     clearLongPress();
     longPressInfo = {
@@ -239,6 +937,105 @@ export function createStickerManager({ stickerLayer }) {
     longPressInfo = null;
   }
 
+  function getScaleLimits(sticker, origin) {
+    const rect = getLayerSize();
+    const { minW, minH } = getMinSizeForRatio(getStickerRatio(sticker));
+    return {
+      min:
+        sticker.kind === "text"
+          ? TEXT_MIN_SIZE / origin.fontSize
+          : Math.max(minW / origin.w, minH / origin.h),
+      max: Math.min(rect.width / origin.w, rect.height / origin.h),
+    };
+  }
+
+  function scaleSticker(sticker, origin, scale) {
+    if (sticker.kind === "text") {
+      sticker.fontSize = origin.fontSize * scale;
+      applyTextStyle(sticker);
+      const size = measureTextBox(sticker);
+      setStickerSize(sticker, size.width, size.height);
+      return;
+    }
+    setStickerSize(sticker, origin.w * scale, origin.h * scale);
+  }
+
+  function moveDrag(sticker, e) {
+    const rect = getLayerSize();
+    const { origin } = dragState;
+    dragState.lastX = e.clientX;
+    dragState.lastY = e.clientY;
+    const dx = (e.clientX - dragState.startX) / dragState.viewScale;
+    const dy = (e.clientY - dragState.startY) / dragState.viewScale;
+    const maxX = rect.width - sticker.w;
+    const maxY = rect.height - sticker.h;
+    const snapped = snapPosition(
+      sticker,
+      clamp(origin.x + dx, 0, maxX),
+      clamp(origin.y + dy, 0, maxY),
+      e
+    );
+    setStickerPosition(sticker, clamp(snapped.x, 0, maxX), clamp(snapped.y, 0, maxY));
+    showGuides(snapped.guides);
+  }
+
+  function moveResize(sticker, e) {
+    const { origin } = dragState;
+    const screenDx = (e.clientX - dragState.startX) / dragState.viewScale;
+    const screenDy = (e.clientY - dragState.startY) / dragState.viewScale;
+    // Measure the drag along the sticker's own (rotated) axes.
+    const { x: dx, y: dy } = rotateVector(screenDx, screenDy, -origin.rotation);
+    const rect = getLayerSize();
+    const limits = getScaleLimits(sticker, origin);
+    const maxScale = origin.rotation
+      ? limits.max
+      : Math.min((rect.width - origin.x) / origin.w, (rect.height - origin.y) / origin.h);
+    const scaleX = (origin.w + dx) / origin.w;
+    const scaleY = (origin.h + dy) / origin.h;
+    let scale = Math.abs(dx) >= Math.abs(dy) ? scaleX : scaleY;
+    if (!Number.isFinite(scale)) {
+      scale = 1;
+    }
+    const snapped = snapScale(sticker, origin, scale, e);
+    const clampScale = (value) => clamp(value, limits.min, Math.max(maxScale, limits.min));
+    scaleSticker(sticker, origin, clampScale(snapped.scale));
+    // Text boxes don't grow exactly in proportion to the font size, so a
+    // snapped text resize is corrected once against the measured width.
+    if (sticker.kind === "text" && snapped.scale !== scale && sticker.w > 0) {
+      const alongY = snapped.guides.y.length > 0;
+      const desired = (alongY ? origin.h : origin.w) * snapped.scale;
+      const actual = alongY ? sticker.h : sticker.w;
+      scaleSticker(sticker, origin, clampScale((snapped.scale * desired) / actual));
+    }
+    keepStickerCorner(sticker, dragState.corner);
+    showGuides(snapped.guides);
+  }
+
+  function moveRotate(sticker, e) {
+    const angle = getPointerAngle(dragState.center, { x: e.clientX, y: e.clientY });
+    setStickerRotation(sticker, dragState.origin.rotation + angle - dragState.startAngle);
+  }
+
+  function moveGesture(sticker, e) {
+    if (!dragState.pointers.has(e.pointerId)) return;
+    dragState.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const [a, b] = Array.from(dragState.pointers.values());
+    const { start } = dragState;
+    const limits = getScaleLimits(sticker, start);
+    const scale = clamp(
+      Math.hypot(b.x - a.x, b.y - a.y) / dragState.startDistance,
+      limits.min,
+      Math.max(limits.max, limits.min)
+    );
+    const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    scaleSticker(sticker, start, scale);
+    setStickerRotation(sticker, start.rotation + getPointerAngle(a, b) - dragState.startAngle);
+    setStickerCenter(sticker, {
+      x: dragState.startCenter.x + (mid.x - dragState.startMid.x) / dragState.viewScale,
+      y: dragState.startCenter.y + (mid.y - dragState.startMid.y) / dragState.viewScale,
+    });
+  }
+
   function handlePointerMove(e) {
     if (longPressInfo && longPressInfo.pointerId === e.pointerId) {
       longPressInfo.currentX = e.clientX;
@@ -254,35 +1051,26 @@ export function createStickerManager({ stickerLayer }) {
     const sticker = stickers.get(dragState.id);
     if (!sticker) return;
 
-    const rect = getLayerRect();
-    if (dragState.type === "drag") {
-      const dx = e.clientX - dragState.startX;
-      const dy = e.clientY - dragState.startY;
-      const nextX = clamp(dragState.originX + dx, 0, rect.width - sticker.w);
-      const nextY = clamp(dragState.originY + dy, 0, rect.height - sticker.h);
-      setStickerPosition(sticker, nextX, nextY);
+    if (dragState.type === "gesture") {
+      moveGesture(sticker, e);
       return;
     }
+    if (e.pointerId !== undefined && e.pointerId !== dragState.pointerId) return;
+    if (dragState.type === "drag") {
+      moveDrag(sticker, e);
+    } else if (dragState.type === "resize") {
+      moveResize(sticker, e);
+    } else if (dragState.type === "rotate") {
+      moveRotate(sticker, e);
+    }
+  }
 
-    if (dragState.type === "resize") {
-      const dx = e.clientX - dragState.startX;
-      const dy = e.clientY - dragState.startY;
-      const ratio = getStickerRatio(sticker);
-      const { minW, minH } = getMinSizeForRatio(ratio);
-      const maxW = rect.width - sticker.x;
-      const maxH = rect.height - sticker.y;
-      const maxScale = Math.min(maxW / dragState.originW, maxH / dragState.originH);
-      const minScale = Math.max(minW / dragState.originW, minH / dragState.originH);
-      const scaleX = (dragState.originW + dx) / dragState.originW;
-      const scaleY = (dragState.originH + dy) / dragState.originH;
-      let scale = Math.abs(dx) >= Math.abs(dy) ? scaleX : scaleY;
-      if (!Number.isFinite(scale)) {
-        scale = 1;
-      }
-      scale = clamp(scale, minScale, maxScale);
-      const nextW = dragState.originW * scale;
-      const nextH = dragState.originH * scale;
-      setStickerSize(sticker, nextW, nextH);
+  function recordDragChange(state) {
+    const sticker = stickers.get(state.id);
+    if (!sticker) return;
+    const changed = recordTransform(sticker, state.origin);
+    if (!changed && state.type === "drag" && state.tapToEdit) {
+      startEditing(sticker);
     }
   }
 
@@ -290,46 +1078,272 @@ export function createStickerManager({ stickerLayer }) {
     if (longPressInfo && longPressInfo.pointerId === e.pointerId) {
       clearLongPress();
     }
+    if (!dragState) return;
+    if (dragState.type === "gesture") {
+      if (!dragState.pointers.has(e.pointerId)) return;
+    } else if (e.pointerId !== undefined && e.pointerId !== dragState.pointerId) {
+      return;
+    }
+    recordDragChange(dragState);
+    dragState = null;
+    hideGuides();
+  }
+
+  function cancelInteraction() {
+    clearLongPress();
+    if (!dragState) return;
+    const sticker = stickers.get(dragState.id);
+    if (sticker) {
+      applyTransformState(sticker, dragState.origin);
+    }
     dragState = null;
+    hideGuides();
+  }
+
+  function nudgeSticker(sticker, dx, dy) {
+    const rect = getLayerSize();
+    const from = getTransformState(sticker);
+    setStickerPosition(
+      sticker,
+      clamp(sticker.x + dx, 0, Math.max(rect.width - sticker.w, 0)),
+      clamp(sticker.y + dy, 0, Math.max(rect.height - sticker.h, 0))
+    );
+    if (recordTransform(sticker, from)) {
+      announce(`가로 ${Math.round(sticker.x)}, 세로 ${Math.round(sticker.y)}`);
+    }
+  }
+
+  // Keyboard resizing keeps the sticker centered, unlike the corner handle.
+  function scaleStickerBy(sticker, factor) {
+    const from = getTransformState(sticker);
+    const center = getStickerCenter(sticker);
+    const limits = getScaleLimits(sticker, from);
+    sticker.hasCustomSize = true;
+    scaleSticker(sticker, from, clamp(factor, limits.min, Math.max(limits.max, limits.min)));
+    setStickerCenter(sticker, center);
+    if (recordTransform(sticker, from)) {
+      announce(`크기 ${Math.round(sticker.w)} × ${Math.round(sticker.h)}`);
+    }
+  }
+
+  function deleteFocusedSticker(sticker) {
+    const elements = getStickerElements();
+    const index = elements.indexOf(sticker.el);
+    const next = elements[index + 1] || elements[index - 1] || null;
+    removeSticker(sticker);
+    next?.focus();
   }
 
-  async function exportComposite(canvas) {
-    if (stickers.size === 0) {
-      return canvas.toDataURL("image/png", 1.0);
+  const KEY_DIRECTIONS = {
+    ArrowLeft: { x: -1, y: 0 },
+    ArrowRight: { x: 1, y: 0 },
+    ArrowUp: { x: 0, y: -1 },
+    ArrowDown: { x: 0, y: 1 },
+  };
+
+  function handleStickerKey(e, sticker) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const direction = KEY_DIRECTIONS[e.key];
+    if (direction) {
+      const step = e.shiftKey ? KEY_MOVE_STEP_LARGE : KEY_MOVE_STEP;
+      nudgeSticker(sticker, direction.x * step, direction.y * step);
+    } else if (e.key === "+" || e.key === "=") {
+      scaleStickerBy(sticker, KEY_SCALE_STEP);
+    } else if (e.key === "-" || e.key === "_") {
+      scaleStickerBy(sticker, 1 / KEY_SCALE_STEP);
+    } else if (e.key === "Delete" || e.key === "Backspace") {
+      deleteFocusedSticker(sticker);
+    } else if (e.key === "Enter" && sticker.kind === "text") {
+      startEditing(sticker);
+    } else if (e.key === "Escape") {
+      clearSelection();
+    } else {
+      return;
     }
+    e.preventDefault();
+  }
 
-    const layerRect = getLayerRect();
-    const scaleX = canvas.width / layerRect.width;
-    const scaleY = canvas.height / layerRect.height;
+  function getSelectedSticker() {
+    return stickers.get(activeStickerId) || null;
+  }
 
-    const composed = document.createElement("canvas");
-    composed.width = canvas.width;
-    composed.height = canvas.height;
-    const composedCtx = composed.getContext("2d");
-    composedCtx.drawImage(canvas, 0, 0);
+  function flipSelected() {
+    const sticker = getSelectedSticker();
+    if (!sticker || sticker.kind !== "image") return false;
+    const from = getTransformState(sticker);
+    setStickerFlip(sticker, !sticker.flipX);
+    recordTransform(sticker, from);
+    notifySelectionChange();
+    return true;
+  }
+
+  function moveStickerTo(sticker, index) {
+    const others = getStickerElements().filter((el) => el !== sticker.el);
+    stickerLayer.insertBefore(sticker.el, others[index] || null);
+    notifySelectionChange();
+  }
 
-    const elements = Array.from(stickerLayer.querySelectorAll(".sticker-item"));
-    for (const el of elements) {
+  // Layer order is the DOM order, which is also the order the export draws in.
+  function shiftSelected(step) {
+    const sticker = getSelectedSticker();
+    if (!sticker) return false;
+    const elements = getStickerElements();
+    const from = elements.indexOf(sticker.el);
+    const to = clamp(from + step, 0, elements.length - 1);
+    if (from === to) return false;
+    moveStickerTo(sticker, to);
+    history.push({
+      undo() {
+        moveStickerTo(sticker, from);
+      },
+      redo() {
+        moveStickerTo(sticker, to);
+      },
+    });
+    return true;
+  }
+
+  function bringForward() {
+    return shiftSelected(1);
+  }
+
+  function sendBackward() {
+    return shiftSelected(-1);
+  }
+
+  function duplicateSelected() {
+    const source = getSelectedSticker();
+    if (!source) return false;
+    if (source.kind === "text" && source.committedText === null) return false;
+    const rect = getLayerSize();
+    const placement = {
+      ...getTransformState(source),
+      x: clamp(source.x + DUPLICATE_OFFSET, 0, Math.max(rect.width - source.w, 0)),
+      y: clamp(source.y + DUPLICATE_OFFSET, 0, Math.max(rect.height - source.h, 0)),
+    };
+    let copy = null;
+    if (source.kind === "text") {
+      copy = createTextSticker({
+        text: source.committedText,
+        font: source.font,
+        color: source.color,
+        fontSize: source.fontSize,
+        rotation: source.rotation,
+        committed: true,
+      });
+      setStickerPosition(copy, placement.x, placement.y);
+    } else {
+      copy = createImageSticker(source.src, source.baseSize, placement, source.label);
+    }
+    moveStickerTo(copy, getStickerElements().indexOf(source.el) + 1);
+    const index = getStickerElements().indexOf(copy.el);
+    selectSticker(copy.id);
+    history.push({
+      undo() {
+        detachSticker(copy);
+      },
+      redo() {
+        attachSticker(copy, index);
+      },
+    });
+    return true;
+  }
+
+  async function getExportItems() {
+    const items = [];
+    for (const el of getStickerElements()) {
       const sticker = stickers.get(el.dataset.id);
       if (!sticker) continue;
-      const img = sticker.imgEl;
-      if (!img.complete) {
+      const geometry = {
+        x: sticker.x,
+        y: sticker.y,
+        w: sticker.w,
+        h: sticker.h,
+        rotation: sticker.rotation || 0,
+      };
+      if (sticker.kind === "text") {
+        items.push({
+          kind: "text",
+          ...geometry,
+          text: sticker.text,
+          font: sticker.font,
+          color: sticker.color,
+          fontSize: sticker.fontSize,
+        });
+        continue;
+      }
+      if (!sticker.imgEl.complete) {
         try {
-          await img.decode();
+          await sticker.imgEl.decode();
         } catch (err) {
           // ignore decode errors
         }
       }
-      composedCtx.drawImage(
-        img,
-        sticker.x * scaleX,
-        sticker.y * scaleY,
-        sticker.w * scaleX,
-        sticker.h * scaleY
-      );
+      items.push({ kind: "image", ...geometry, flipX: sticker.flipX, source: sticker.imgEl });
     }
+    return items;
+  }
 
-    return composed.toDataURL("image/png", 1.0);
+  // Resolves to an image Blob of `canvas` with the stickers composited on top.
+  async function exportComposite(canvas, { format, quality } = {}) {
+    const layerSize = getLayerSize();
+    return composeImage({
+      drawing: canvas,
+      items: await getExportItems(),
+      scaleX: canvas.width / layerSize.width,
+      scaleY: canvas.height / layerSize.height,
+      format,
+      quality,
+    });
+  }
+
+  function serialize() {
+    return getStickerElements()
+      .map((el) => stickers.get(el.dataset.id))
+      .filter(Boolean)
+      .map((sticker) => {
+        if (sticker.kind === "text") {
+          if (sticker.committedText === null) return null;
+          return {
+            kind: "text",
+            text: sticker.committedText,
+            font: sticker.font,
+            color: sticker.color,
+            fontSize: sticker.fontSize,
+            x: sticker.x,
+            y: sticker.y,
+            rotation: sticker.rotation,
+          };
+        }
+        return {
+          kind: "image",
+          src: sticker.src,
+          baseSize: sticker.baseSize,
+          x: sticker.x,
+          y: sticker.y,
+          w: sticker.w,
+          h: sticker.h,
+          rotation: sticker.rotation,
+          flipX: sticker.flipX,
+          label: sticker.label,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  function restore(items) {
+    clearSelection();
+    Array.from(stickers.values()).forEach(detachSticker);
+    if (!Array.isArray(items)) return;
+    items.forEach((item) => {
+      if (item?.kind === "text") {
+        const sticker = createTextSticker({ ...item, committed: true });
+        setStickerPosition(sticker, item.x, item.y);
+        return;
+      }
+      if (!item?.src || !(item.w > 0) || !(item.h > 0)) return;
+      createImageSticker(item.src, item.baseSize || Math.max(item.w, item.h), item);
+    });
   }
 
   function bind() {
@@ -337,7 +1351,7 @@ export function createStickerManager({ stickerLayer }) {
     window.addEventListener("pointerup", handlePointerUp);
     window.addEventListener("pointercancel", handlePointerUp);
     document.addEventListener("pointerdown", (e) => {
-      if (!e.target.closest(".sticker-item")) {
+      if (!e.target.closest(".sticker-item, [data-keep-selection]")) {
         clearSelection();
       }
     });
@@ -345,8 +1359,19 @@ export function createStickerManager({ stickerLayer }) {
 
   return {
     addSticker,
+    addText,
+    updateSelectedText,
     bind,
+    cancelInteraction,
+    clearAll,
     clearSelection,
+    flipSelected,
+    bringForward,
+    sendBackward,
+    duplicateSelected,
+    setGridSnap,
     exportComposite,
+    serialize,
+    restore,
   };
 }
@@ -0,0 +1,69 @@
+const DB_NAME = "paint-app";
+const DB_VERSION = 2;
+
+export const DRAFT_STORE = "drafts";
+export const UPLOAD_STORE = "uploads";
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error("IndexedDB unavailable"));
+      return;
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(DRAFT_STORE)) {
+        db.createObjectStore(DRAFT_STORE);
+      }
+      if (!db.objectStoreNames.contains(UPLOAD_STORE)) {
+        db.createObjectStore(UPLOAD_STORE);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, run) {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await requestToPromise(run(tx.objectStore(storeName)));
+  await done;
+  return result;
+}
+
+export function getRecord(storeName, key) {
+  return withStore(storeName, "readonly", (store) => store.get(key));
+}
+
+export function getAllRecords(storeName) {
+  return withStore(storeName, "readonly", (store) => store.getAll());
+}
+
+export function putRecord(storeName, key, value) {
+  return withStore(storeName, "readwrite", (store) => store.put(value, key));
+}
+
+export function deleteRecord(storeName, key) {
+  return withStore(storeName, "readwrite", (store) => store.delete(key));
+}
@@ -0,0 +1,109 @@
+const COUNTRY_CODES = (
+  "KR US JP CN TW HK PH ID TH VN MY SG IN AU NZ CA MX BR AR CL PE CO GB FR DE ES IT NL PL TR " +
+  "RU SA AE EG ZA"
+).split(" ");
+const LANGUAGE_CODES = "ko en ja zh es pt id th vi tl ms fr de it ru ar tr hi".split(" ");
+
+function getDisplayName(type, code) {
+  try {
+    return new Intl.DisplayNames(["ko"], { type }).of(code) || code;
+  } catch (err) {
+    return code;
+  }
+}
+
+function fillOptions(select, type, codes) {
+  codes
+    .map((code) => ({ code, name: getDisplayName(type, code) }))
+    .sort((a, b) => a.name.localeCompare(b.name, "ko"))
+    .forEach(({ code, name }) => {
+      const option = document.createElement("option");
+      option.value = code;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+}
+
+// The optional "who drew this" form shown before saving. `request()` resolves
+// with the answers (or null when the fan skips or doesn't consent) and with
+// undefined when the dialog is dismissed, which cancels the save.
+export function createSubmissionForm({ dialog }) {
+  const form = dialog.querySelector("form");
+  const consentInput = form.elements.consent;
+  const detailInputs = ["nickname", "country", "language", "message"].map(
+    (name) => form.elements[name]
+  );
+  let resolvePending = null;
+
+  function syncConsent() {
+    detailInputs.forEach((input) => {
+      input.disabled = !consentInput.checked;
+    });
+  }
+
+  function finish(value) {
+    if (dialog.open) {
+      dialog.close();
+    }
+    if (resolvePending) {
+      const resolve = resolvePending;
+      resolvePending = null;
+      resolve(value);
+    }
+  }
+
+  function readAnswers() {
+    if (!consentInput.checked) return null;
+    return {
+      nickname: form.elements.nickname.value.trim(),
+      country: form.elements.country.value,
+      language: form.elements.language.value,
+      message: form.elements.message.value.trim(),
+      consent: true,
+    };
+  }
+
+  function request() {
+    if (resolvePending) {
+      finish(undefined);
+    }
+    return new Promise((resolve) => {
+      resolvePending = resolve;
+      dialog.showModal();
+    });
+  }
+
+  // Kiosk resets hand the stand to the next fan, who must not see the
+  // previous fan's name.
+  function reset() {
+    form.reset();
+    syncConsent();
+    finish(undefined);
+  }
+
+  function bind() {
+    fillOptions(form.elements.country, "region", COUNTRY_CODES);
+    fillOptions(form.elements.language, "language", LANGUAGE_CODES);
+    syncConsent();
+    consentInput.addEventListener("change", syncConsent);
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const action = e.submitter?.value;
+      if (action === "cancel") {
+        finish(undefined);
+      } else {
+        finish(action === "skip" ? null : readAnswers());
+      }
+    });
+    dialog.addEventListener("cancel", (e) => {
+      e.preventDefault();
+      finish(undefined);
+    });
+  }
+
+  return {
+    bind,
+    request,
+    reset,
+  };
+}
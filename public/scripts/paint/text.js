@@ -0,0 +1,151 @@
+const LATIN_RANGE =
+  "U+0000-00FF, U+0131, U+0152-0153, U+02BB-02BC, U+02C6, U+02DA, U+02DC, U+2000-206F, " +
+  "U+2074, U+20AC, U+2122, U+2191, U+2193, U+2212, U+2215, U+FEFF, U+FFFD";
+
+// `name` and `faces` mirror the bundled files declared in styles/fonts.css.
+export const TEXT_FONTS = [
+  {
+    id: "gothic",
+    label: "고딕",
+    name: "Pretendard",
+    family:
+      '"Pretendard", "Apple SD Gothic Neo", "Noto Sans KR", "Noto Sans JP", "Hiragino Sans", sans-serif',
+    weight: 700,
+    faces: [{ file: "pretendard-bold.woff2" }],
+  },
+  {
+    id: "myeongjo",
+    label: "명조",
+    name: "Nanum Myeongjo",
+    family:
+      '"Nanum Myeongjo", "AppleMyungjo", "Noto Serif KR", "Noto Serif JP", "Hiragino Mincho ProN", serif',
+    weight: 700,
+    faces: [
+      { file: "nanum-myeongjo-korean-700-normal.woff2" },
+      { file: "nanum-myeongjo-latin-700-normal.woff2", unicodeRange: LATIN_RANGE },
+    ],
+  },
+  {
+    id: "pen",
+    label: "손글씨",
+    name: "Nanum Pen Script",
+    family: '"Nanum Pen Script", "Nanum Pen", "Apple SD Gothic Neo", "Noto Sans KR", cursive',
+    weight: 400,
+    faces: [
+      { file: "nanum-pen-script-korean-400-normal.woff2" },
+      { file: "nanum-pen-script-latin-400-normal.woff2", unicodeRange: LATIN_RANGE },
+    ],
+  },
+  {
+    id: "round",
+    label: "둥근체",
+    name: "Jua",
+    family: '"Jua", "BM JUA", "Arial Rounded MT Bold", "Noto Sans KR", sans-serif',
+    weight: 400,
+    faces: [
+      { file: "jua-korean-400-normal.woff2" },
+      { file: "jua-latin-400-normal.woff2", unicodeRange: LATIN_RANGE },
+    ],
+  },
+];
+
+export const DEFAULT_TEXT_FONT = TEXT_FONTS[0].id;
+export const DEFAULT_TEXT_SIZE = 36;
+export const TEXT_MIN_SIZE = 12;
+export const TEXT_LINE_HEIGHT = 1.3;
+// Border (2px) plus textarea padding (6px); the export draws text at the same inset.
+export const TEXT_BOX_INSET = 8;
+const TEXT_WIDTH_SLACK = 4;
+const FONT_BASE_URL = new URL("../../assets/fonts/", import.meta.url);
+// One Hangul and one Latin character, so both subsets of a font get loaded.
+const FONT_SAMPLE_TEXT = "가A";
+
+let measureCtx = null;
+const fontLoads = new Map();
+
+export function getTextFont(id) {
+  return TEXT_FONTS.find((font) => font.id === id) || TEXT_FONTS[0];
+}
+
+export function getCanvasFont(fontId, fontSize) {
+  const font = getTextFont(fontId);
+  return `${font.weight} ${fontSize}px ${font.family}`;
+}
+
+// Also runs inside the export worker, where there is no document.
+function getFontSet() {
+  return globalThis.document?.fonts || globalThis.fonts || null;
+}
+
+// Documents get the faces from styles/fonts.css. The export worker has no
+// stylesheet, so it registers the same files itself.
+function registerFontFaces(fonts, font) {
+  if (globalThis.document || typeof FontFace !== "function") return;
+  font.faces.forEach(({ file, unicodeRange }) => {
+    const descriptors = { weight: String(font.weight) };
+    if (unicodeRange) {
+      descriptors.unicodeRange = unicodeRange;
+    }
+    fonts.add(new FontFace(font.name, `url("${new URL(file, FONT_BASE_URL)}")`, descriptors));
+  });
+}
+
+async function loadFontFaces(font) {
+  const fonts = getFontSet();
+  if (!fonts?.load) return;
+  try {
+    registerFontFaces(fonts, font);
+    await fonts.load(`${font.weight} 16px "${font.name}"`, FONT_SAMPLE_TEXT);
+  } catch (err) {
+    // fall back to whatever font is available
+  }
+}
+
+// Resolves once the font's files have loaded or failed. Text measured or
+// drawn before then uses a fallback font.
+export function loadTextFont(fontId) {
+  const font = getTextFont(fontId);
+  if (!fontLoads.has(font.id)) {
+    fontLoads.set(font.id, loadFontFaces(font));
+  }
+  return fontLoads.get(font.id);
+}
+
+export function splitTextLines(text) {
+  return String(text || "").split(/\r?\n/);
+}
+
+export function measureTextBox({ text, font, fontSize }) {
+  if (!measureCtx) {
+    measureCtx = document.createElement("canvas").getContext("2d");
+  }
+  measureCtx.font = getCanvasFont(font, fontSize);
+  const lines = splitTextLines(text);
+  const textWidth = lines.reduce(
+    (max, line) => Math.max(max, measureCtx.measureText(line).width),
+    0
+  );
+  const lineHeight = fontSize * TEXT_LINE_HEIGHT;
+  return {
+    width: Math.max(textWidth, fontSize * 0.5) + TEXT_BOX_INSET * 2 + TEXT_WIDTH_SLACK,
+    height: lines.length * lineHeight + TEXT_BOX_INSET * 2,
+  };
+}
+
+export async function drawTextBox(ctx, item, scaleX, scaleY) {
+  const fontSize = item.fontSize * scaleY;
+  const canvasFont = getCanvasFont(item.font, fontSize);
+  await loadTextFont(item.font);
+  const lineHeight = fontSize * TEXT_LINE_HEIGHT;
+  const left = (item.x + TEXT_BOX_INSET) * scaleX;
+  const top = (item.y + TEXT_BOX_INSET) * scaleY;
+
+  ctx.save();
+  ctx.font = canvasFont;
+  ctx.fillStyle = item.color;
+  ctx.textBaseline = "middle";
+  splitTextLines(item.text).forEach((line, index) => {
+    ctx.fillText(line, left, top + lineHeight * (index + 0.5));
+  });
+  ctx.restore();
+}
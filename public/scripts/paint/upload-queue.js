@@ -0,0 +1,208 @@
+import { campaignApiUrl, campaignId } from "./campaign.js";
+import { UPLOAD_STORE, deleteRecord, getAllRecords, putRecord } from "./storage.js";
+
+const UPLOAD_URL = "/api/upload/stream";
+const UPLOAD_TIMEOUT_MS = 30000;
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+// These answers mean the server looked at the drawing and will never accept
+// it, so retrying only keeps a dead entry in the queue.
+const PERMANENT_STATUSES = [400, 413, 415, 422];
+
+function makeUploadId() {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+const FILE_EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+};
+
+// The drawing and the optional submission answers travel in one multipart body
+// so the server records them together.
+function createUploadBody(entry) {
+  const body = new FormData();
+  if (entry.submission) {
+    Object.entries(entry.submission).forEach(([name, value]) => {
+      body.append(name, String(value));
+    });
+  }
+  const ext = FILE_EXTENSIONS[entry.blob.type] || "png";
+  body.append("image", entry.blob, `drawing.${ext}`);
+  return body;
+}
+
+function getRetryDelay(attempts, err) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_MS);
+  return Math.max(delay / 2 + Math.random() * (delay / 2), err?.retryAfterMs || 0);
+}
+
+// The id doubles as the Idempotency-Key, so a retry after a timeout that the
+// server actually completed returns the first result instead of a second file.
+// Queued entries remember their campaign, so a retry from another campaign's
+// page still lands on the wall it was drawn for.
+async function sendUpload(entry) {
+  const controller = new AbortController();
+  const timer = window.setTimeout(() => controller.abort(), UPLOAD_TIMEOUT_MS);
+  try {
+    const res = await fetch(campaignApiUrl(UPLOAD_URL, entry.campaign ?? campaignId), {
+      method: "POST",
+      headers: {
+        "Idempotency-Key": entry.id,
+      },
+      body: createUploadBody(entry),
+      signal: controller.signal,
+    });
+    if (!res.ok) {
+      const err = new Error("Upload failed");
+      err.permanent = PERMANENT_STATUSES.includes(res.status);
+      // A 429 says when the server will take uploads from us again.
+      err.retryAfterMs = (Number(res.headers.get("Retry-After")) || 0) * 1000;
+      throw err;
+    }
+    return await res.json();
+  } finally {
+    window.clearTimeout(timer);
+  }
+}
+
+// Uploads that fail for network or server reasons are kept in IndexedDB and
+// retried with exponential backoff until they go through.
+export function createUploadQueue({ badge } = {}) {
+  let retryTimer = null;
+  let flushing = null;
+  let pendingCount = 0;
+
+  function renderBadge() {
+    if (!badge) return;
+    badge.hidden = pendingCount === 0;
+    badge.textContent = pendingCount > 0 ? `전송 대기 ${pendingCount}` : "";
+  }
+
+  async function readEntries() {
+    try {
+      const entries = await getAllRecords(UPLOAD_STORE);
+      return entries.sort((a, b) => a.createdAt - b.createdAt);
+    } catch (err) {
+      return [];
+    }
+  }
+
+  async function refreshCount() {
+    pendingCount = (await readEntries()).length;
+    renderBadge();
+  }
+
+  function scheduleRetry(entries) {
+    if (retryTimer) {
+      window.clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    if (entries.length === 0) return;
+    const nextAt = Math.min(...entries.map((entry) => entry.nextAttemptAt));
+    retryTimer = window.setTimeout(flush, Math.max(nextAt - Date.now(), 0));
+  }
+
+  async function runFlush() {
+    const entries = await readEntries();
+    const remaining = [];
+    for (const entry of entries) {
+      if (entry.nextAttemptAt > Date.now()) {
+        remaining.push(entry);
+        continue;
+      }
+      try {
+        await sendUpload(entry);
+        await deleteRecord(UPLOAD_STORE, entry.id);
+      } catch (err) {
+        if (err.permanent) {
+          await deleteRecord(UPLOAD_STORE, entry.id);
+          continue;
+        }
+        const attempts = entry.attempts + 1;
+        const next = { ...entry, attempts, nextAttemptAt: Date.now() + getRetryDelay(attempts, err) };
+        await putRecord(UPLOAD_STORE, entry.id, next);
+        remaining.push(next);
+      }
+    }
+    scheduleRetry(remaining);
+    await refreshCount();
+  }
+
+  function flush() {
+    if (!flushing) {
+      flushing = runFlush()
+        .catch(() => {
+          // storage is unavailable; the next trigger tries again
+        })
+        .finally(() => {
+          flushing = null;
+        });
+    }
+    return flushing;
+  }
+
+  // Resolves with `{ status: "uploaded", data }` when the server took the
+  // drawing, or `{ status: "queued" }` when it was kept for a later retry.
+  // Rejects when the server refused it or the queue itself is unavailable.
+  async function submit(blob, submission = null) {
+    const entry = {
+      id: makeUploadId(),
+      blob,
+      submission,
+      campaign: campaignId,
+      createdAt: Date.now(),
+      attempts: 1,
+      nextAttemptAt: 0,
+    };
+    try {
+      const data = await sendUpload(entry);
+      return { status: "uploaded", data };
+    } catch (err) {
+      if (err.permanent) {
+        throw err;
+      }
+      entry.nextAttemptAt = Date.now() + getRetryDelay(entry.attempts, err);
+    }
+    await putRecord(UPLOAD_STORE, entry.id, entry);
+    const entries = await readEntries();
+    pendingCount = entries.length;
+    renderBadge();
+    scheduleRetry(entries);
+    return { status: "queued" };
+  }
+
+  // Going back online retries everything right away instead of waiting for
+  // the backoff timer.
+  async function retryNow() {
+    const entries = await readEntries();
+    await Promise.all(
+      entries.map((entry) => putRecord(UPLOAD_STORE, entry.id, { ...entry, nextAttemptAt: 0 }))
+    );
+    return flush();
+  }
+
+  function bind() {
+    window.addEventListener("online", () => {
+      retryNow().catch(() => {
+        // ignore
+      });
+    });
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "visible") {
+        flush();
+      }
+    });
+    flush();
+  }
+
+  return {
+    bind,
+    submit,
+    flush,
+  };
+}
@@ -0,0 +1,201 @@
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const BUTTON_ZOOM_STEP = 1.25;
+const WHEEL_ZOOM_SPEED = 0.01;
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function midpoint(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+export function createZoomController({
+  viewport,
+  stage,
+  zoomInBtn,
+  zoomOutBtn,
+  zoomResetBtn,
+  zoomLabel,
+  onGestureStart,
+  onScaleChange,
+  ignorePointer,
+  minScale = MIN_SCALE,
+  maxScale = MAX_SCALE,
+}) {
+  const view = { scale: 1, x: 0, y: 0 };
+  const touches = new Map();
+  let pinch = null;
+  let lastScale = null;
+
+  function getViewportSize() {
+    return { width: viewport.clientWidth, height: viewport.clientHeight };
+  }
+
+  function clampView() {
+    const { width, height } = getViewportSize();
+    view.scale = clamp(view.scale, minScale, maxScale);
+    view.x = clamp(view.x, width - width * view.scale, 0);
+    view.y = clamp(view.y, height - height * view.scale, 0);
+  }
+
+  function apply() {
+    clampView();
+    stage.style.transform = `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+    if (zoomLabel) {
+      zoomLabel.textContent = `${Math.round(view.scale * 100)}%`;
+    }
+    if (zoomOutBtn) zoomOutBtn.disabled = view.scale <= minScale;
+    if (zoomInBtn) zoomInBtn.disabled = view.scale >= maxScale;
+    if (zoomResetBtn) zoomResetBtn.disabled = view.scale === 1;
+    if (view.scale !== lastScale) {
+      lastScale = view.scale;
+      if (typeof onScaleChange === "function") {
+        onScaleChange(view.scale);
+      }
+    }
+  }
+
+  function toViewportPoint(clientX, clientY) {
+    const rect = viewport.getBoundingClientRect();
+    return { x: clientX - rect.left, y: clientY - rect.top };
+  }
+
+  // Keeps the stage point under `anchor` (viewport coordinates) fixed while
+  // the scale changes.
+  function zoomAt(nextScale, anchor) {
+    const scale = clamp(nextScale, minScale, maxScale);
+    const stageX = (anchor.x - view.x) / view.scale;
+    const stageY = (anchor.y - view.y) / view.scale;
+    view.scale = scale;
+    view.x = anchor.x - stageX * scale;
+    view.y = anchor.y - stageY * scale;
+    apply();
+  }
+
+  function zoomBy(factor) {
+    const { width, height } = getViewportSize();
+    zoomAt(view.scale * factor, { x: width / 2, y: height / 2 });
+  }
+
+  function reset() {
+    view.scale = 1;
+    view.x = 0;
+    view.y = 0;
+    apply();
+  }
+
+  function getVisibleRect() {
+    const { width, height } = getViewportSize();
+    return {
+      x: -view.x / view.scale,
+      y: -view.y / view.scale,
+      width: width / view.scale,
+      height: height / view.scale,
+    };
+  }
+
+  function startPinch() {
+    const [a, b] = Array.from(touches.values());
+    pinch = {
+      startDistance: Math.max(distance(a, b), 1),
+      startMid: midpoint(a, b),
+      startScale: view.scale,
+      startX: view.x,
+      startY: view.y,
+    };
+    if (typeof onGestureStart === "function") {
+      onGestureStart();
+    }
+  }
+
+  function updatePinch() {
+    const [a, b] = Array.from(touches.values());
+    const mid = midpoint(a, b);
+    const scale = clamp(
+      pinch.startScale * (distance(a, b) / pinch.startDistance),
+      minScale,
+      maxScale
+    );
+    const stageX = (pinch.startMid.x - pinch.startX) / pinch.startScale;
+    const stageY = (pinch.startMid.y - pinch.startY) / pinch.startScale;
+    view.scale = scale;
+    view.x = mid.x - stageX * scale;
+    view.y = mid.y - stageY * scale;
+    apply();
+  }
+
+  function handlePointerDown(e) {
+    if (e.pointerType !== "touch") return;
+    if (typeof ignorePointer === "function" && ignorePointer(e)) return;
+    touches.set(e.pointerId, toViewportPoint(e.clientX, e.clientY));
+    if (touches.size === 2) {
+      e.stopPropagation();
+      e.preventDefault();
+      startPinch();
+    } else if (touches.size > 2 || pinch) {
+      e.stopPropagation();
+    }
+  }
+
+  function handlePointerMove(e) {
+    if (!touches.has(e.pointerId)) return;
+    touches.set(e.pointerId, toViewportPoint(e.clientX, e.clientY));
+    if (pinch && touches.size >= 2) {
+      e.stopPropagation();
+      updatePinch();
+    }
+  }
+
+  function handlePointerEnd(e) {
+    if (!touches.has(e.pointerId)) return;
+    touches.delete(e.pointerId);
+    if (touches.size === 0) {
+      pinch = null;
+    } else if (pinch && touches.size >= 2) {
+      startPinch();
+    }
+  }
+
+  function handleWheel(e) {
+    const anchor = toViewportPoint(e.clientX, e.clientY);
+    if (e.ctrlKey) {
+      e.preventDefault();
+      zoomAt(view.scale * Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED), anchor);
+      return;
+    }
+    if (view.scale === 1) return;
+    e.preventDefault();
+    view.x -= e.deltaX;
+    view.y -= e.deltaY;
+    apply();
+  }
+
+  function bind() {
+    stage.style.transformOrigin = "0 0";
+    viewport.addEventListener("pointerdown", handlePointerDown, { capture: true });
+    window.addEventListener("pointermove", handlePointerMove, { capture: true });
+    window.addEventListener("pointerup", handlePointerEnd, { capture: true });
+    window.addEventListener("pointercancel", handlePointerEnd, { capture: true });
+    viewport.addEventListener("wheel", handleWheel, { passive: false });
+    zoomInBtn?.addEventListener("click", () => zoomBy(BUTTON_ZOOM_STEP));
+    zoomOutBtn?.addEventListener("click", () => zoomBy(1 / BUTTON_ZOOM_STEP));
+    zoomResetBtn?.addEventListener("click", reset);
+    apply();
+  }
+
+  return {
+    bind,
+    reset,
+    zoomBy,
+    getVisibleRect,
+    isGestureActive() {
+      return Boolean(pinch);
+    },
+  };
+}
@@ -3,14 +3,21 @@ const crypto = require("crypto");
 const fs = require("fs");
 const fsp = fs.promises;
 const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
 const { URL } = require("url");
+const { Worker, isMainThread, parentPort } = require("worker_threads");
+const zlib = require("zlib");
 
 const PORT = 3000;
 const ROOT_DIR = __dirname;
 const PUBLIC_DIR = path.join(ROOT_DIR, "public");
 const DATA_DIR = path.join(ROOT_DIR, "data");
-const UPLOAD_DIR = path.join(ROOT_DIR, "uploads");
+const STICKER_DIR = path.join(ROOT_DIR, "stickers");
+const CAMPAIGN_DIR = path.join(ROOT_DIR, "campaigns");
 const MAX_BODY_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_PART_HEADER_SIZE = 16 * 1024;
+const MAX_FIELD_SIZE = 4 * 1024;
 
 const STAGE_WIDTH = 4728;
 const STAGE_HEIGHT = 5760;
@@ -23,17 +30,114 @@ const PADDING_RIGHT = 100;
 const GAP = 50;
 const COLUMNS = 6;
 const SLOT_COUNT = 24;
-const SLOT_FILE = path.join(ROOT_DIR, "slot.json");
-const TRASH_FILE = path.join(DATA_DIR, "trash.json");
-const SELECTION_FILE = path.join(DATA_DIR, "selection.json");
+const STICKER_FILE = path.join(DATA_DIR, "stickers.json");
+const CAMPAIGN_FILE = path.join(DATA_DIR, "campaigns.json");
+const DEFAULT_CAMPAIGN = {
+  id: "default",
+  title: "BTS에게 메시지를 남겨주세요!",
+  subtitle: "Leave a message for BTS!",
+  frame: null,
+};
+const DEFAULT_FRAME_URL = "/assets/frames/bts_frame.png";
+const MAX_CAMPAIGN_TITLE_LENGTH = 60;
+const MODERATION_STATUSES = ["pending", "approved", "rejected"];
+const MAX_NICKNAME_LENGTH = 20;
+const MAX_MESSAGE_LENGTH = 100;
+const UPLOAD_KEY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Trashed uploads are only deleted for good when TRASH_RETENTION_DAYS is set.
+const TRASH_RETENTION_MS = readEnvNumber("TRASH_RETENTION_DAYS", 0) * 24 * 60 * 60 * 1000;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const STICKER_SIZES = ["big", "small"];
+const MAX_STICKER_NAME_LENGTH = 40;
+const IMAGE_FORMATS = { png: ".png", jpeg: ".jpg", webp: ".webp" };
+const IMAGE_EXTENSIONS = Object.values(IMAGE_FORMATS);
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// The paint page draws on an 800×670 canvas and exports it at the width from
+// /api/export-config (capped at 4096px), so a drawing's size is known up to
+// rounding. Anything else did not come from the paint page.
+const PAINT_CANVAS_WIDTH = 800;
+const PAINT_CANVAS_HEIGHT = 670;
+const MAX_EXPORT_WIDTH = 4096;
+const IMAGE_SIZE_TOLERANCE = 2;
+const MAX_STICKER_DIMENSION = 1024;
+// Ancillary chunks that affect how the pixels look. Everything else
+// (text, timestamps, EXIF, private chunks) is dropped before saving.
+const PNG_KEPT_CHUNKS = ["tRNS", "gAMA", "cHRM", "sRGB"];
+const PNG_ANIMATION_CHUNKS = ["acTL", "fcTL", "fdAT"];
+// APPn segments kept in JPEG uploads, by marker and identifier. Everything
+// else in APP0-APP15, and COM, can carry EXIF, XMP or free text.
+const JPEG_KEPT_APP_SEGMENTS = [
+  [0xe0, "JFIF\0"],
+  [0xe2, "ICC_PROFILE\0"],
+  [0xee, "Adobe"],
+];
+const WEBP_KEPT_CHUNKS = ["VP8X", "VP8 ", "VP8L", "ALPH", "ICCP", "ANIM", "ANMF"];
+const WEBP_VP8X_EXIF_FLAG = 0x08;
+const WEBP_VP8X_XMP_FLAG = 0x04;
+// Adam7 passes as [x0, y0, dx, dy].
+const PNG_ADAM7_PASSES = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+// Valid bit depths per PNG color type, and samples per pixel.
+const PNG_COLOR_TYPES = {
+  0: { depths: [1, 2, 4, 8, 16], channels: 1 },
+  2: { depths: [8, 16], channels: 3 },
+  3: { depths: [1, 2, 4, 8], channels: 1 },
+  4: { depths: [8, 16], channels: 2 },
+  6: { depths: [8, 16], channels: 4 },
+};
+const UPLOAD_CONTENT_TYPES = ["image/png", "image/jpeg", "image/webp"];
 const DEFAULT_IMAGE_WIDTH = 600;
 const DEFAULT_IMAGE_HEIGHT = 400;
+const EXPORT_SCALE = Number(process.env.EXPORT_SCALE) > 0 ? Number(process.env.EXPORT_SCALE) : 2;
+const EXPORT_FORMAT = IMAGE_FORMATS[process.env.EXPORT_FORMAT] ? process.env.EXPORT_FORMAT : "png";
+const EXPORT_QUALITY =
+  Number(process.env.EXPORT_QUALITY) > 0 && Number(process.env.EXPORT_QUALITY) <= 1
+    ? Number(process.env.EXPORT_QUALITY)
+    : 0.92;
+const THUMB_WIDTH = Math.round(readEnvNumber("THUMB_WIDTH", 320));
 const KST_OFFSET_MS = 9 * 60 * 60 * 1000;
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
 const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
 const SESSION_COOKIE = "admin_session";
+// Token buckets per client IP. `capacity` is the burst size and `perMinute`
+// the refill rate; override any of them with RATE_LIMIT_<NAME>_CAPACITY and
+// RATE_LIMIT_<NAME>_PER_MINUTE, e.g. RATE_LIMIT_UPLOAD_CAPACITY=200 for a
+// venue where every kiosk shares one address.
+const RATE_LIMITS = readRateLimits({
+  api: { capacity: 120, perMinute: 120 },
+  upload: { capacity: 20, perMinute: 10 },
+  login: { capacity: 10, perMinute: 5 },
+  thumb: { capacity: 60, perMinute: 30 },
+});
+// Comma-separated proxy addresses whose X-Forwarded-For is trusted.
+const TRUSTED_PROXIES = String(process.env.TRUSTED_PROXIES || "")
+  .split(",")
+  .map((entry) => normalizeIp(entry.trim()))
+  .filter(Boolean);
+const LOGIN_LOCKOUT_THRESHOLD = readEnvNumber("LOGIN_LOCKOUT_THRESHOLD", 5);
+const LOGIN_LOCKOUT_BASE_MS = readEnvNumber("LOGIN_LOCKOUT_BASE_MS", 30 * 1000);
+const LOGIN_LOCKOUT_MAX_MS = readEnvNumber("LOGIN_LOCKOUT_MAX_MS", 60 * 60 * 1000);
+const LOGIN_FAILURE_TTL_MS = 24 * 60 * 60 * 1000;
+const RATE_LIMIT_SWEEP_MS = 10 * 60 * 1000;
 
 const sessions = new Map();
+const uploadsInFlight = new Map();
+const thumbsInFlight = new Map();
+const thumbnailJobs = new Map();
+let thumbnailWorker = null;
+let nextThumbnailJobId = 1;
+const uploadIndexes = new Map();
+let campaignsPromise = null;
+const rateBuckets = new Map();
+const loginFailures = new Map();
+const fileUpdateQueues = new Map();
 
 const MIME_TYPES = {
   ".html": "text/html; charset=utf-8",
@@ -42,7 +146,9 @@ const MIME_TYPES = {
   ".png": "image/png",
   ".jpg": "image/jpeg",
   ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
   ".svg": "image/svg+xml",
+  ".woff2": "font/woff2",
   ".json": "application/json; charset=utf-8",
 };
 
@@ -51,6 +157,156 @@ function send(res, status, body, headers = {}) {
   res.end(body);
 }
 
+function readEnvNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function readRateLimits(defaults) {
+  return Object.fromEntries(
+    Object.entries(defaults).map(([name, rule]) => {
+      const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+      return [
+        name,
+        {
+          capacity: readEnvNumber(`${prefix}_CAPACITY`, rule.capacity),
+          perMinute: readEnvNumber(`${prefix}_PER_MINUTE`, rule.perMinute),
+        },
+      ];
+    })
+  );
+}
+
+function normalizeIp(address) {
+  const value = String(address || "");
+  return value.startsWith("::ffff:") ? value.slice(7) : value;
+}
+
+// Behind a trusted proxy the client is the right-most X-Forwarded-For entry
+// that isn't one of our own proxies; anything left of it can be forged.
+function getClientIp(req) {
+  const remote = normalizeIp(req.socket.remoteAddress);
+  if (!TRUSTED_PROXIES.includes(remote)) {
+    return remote;
+  }
+  const forwarded = String(req.headers["x-forwarded-for"] || "")
+    .split(",")
+    .map((entry) => normalizeIp(entry.trim()))
+    .filter(Boolean);
+  for (let i = forwarded.length - 1; i >= 0; i -= 1) {
+    if (!TRUSTED_PROXIES.includes(forwarded[i])) {
+      return forwarded[i];
+    }
+  }
+  return remote;
+}
+
+function refillBucket(bucket, rule, now) {
+  const rate = rule.perMinute / 60000;
+  bucket.tokens = Math.min(rule.capacity, bucket.tokens + (now - bucket.updatedAt) * rate);
+  bucket.updatedAt = now;
+}
+
+// Takes one token from each of the client's buckets for `ruleNames`, or none
+// at all when any of them is empty, so a request rejected by one limit doesn't
+// use up the others. Returns 0 when the request may proceed, otherwise the
+// milliseconds until every bucket has a token.
+function takeRateTokens(ruleNames, ip) {
+  const now = Date.now();
+  const buckets = ruleNames.map((ruleName) => {
+    const rule = RATE_LIMITS[ruleName];
+    const key = `${ruleName}:${ip}`;
+    const bucket = rateBuckets.get(key) || { tokens: rule.capacity, updatedAt: now };
+    refillBucket(bucket, rule, now);
+    rateBuckets.set(key, bucket);
+    return { rule, bucket };
+  });
+  const waits = buckets.map(({ rule, bucket }) =>
+    bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / (rule.perMinute / 60000))
+  );
+  const retryAfterMs = Math.max(0, ...waits);
+  if (retryAfterMs === 0) {
+    buckets.forEach(({ bucket }) => {
+      bucket.tokens -= 1;
+    });
+  }
+  return retryAfterMs;
+}
+
+function takeRateToken(ruleName, ip) {
+  return takeRateTokens([ruleName], ip);
+}
+
+function getRateLimitRules(pathname) {
+  if (!pathname.startsWith("/api/")) return [];
+  const rules = ["api"];
+  if (pathname === "/api/upload" || pathname.startsWith("/api/upload/")) {
+    rules.push("upload");
+  }
+  if (pathname === "/api/login") {
+    rules.push("login");
+  }
+  return rules;
+}
+
+function sendTooManyRequests(res, retryAfterMs) {
+  send(res, 429, "Too Many Requests", {
+    "Content-Type": "text/plain; charset=utf-8",
+    "Retry-After": String(Math.max(1, Math.ceil(retryAfterMs / 1000))),
+  });
+}
+
+// Signed-in admins are exempt so the gallery can page through uploads freely;
+// the login route itself is always limited.
+function checkRateLimit(req, res, pathname) {
+  const rules = getRateLimitRules(pathname);
+  if (rules.length === 0) return true;
+  if (pathname !== "/api/login" && getSessionToken(req)) return true;
+  const ip = getClientIp(req);
+  const retryAfterMs = takeRateTokens(rules, ip);
+  if (retryAfterMs > 0) {
+    req.resume();
+    sendTooManyRequests(res, retryAfterMs);
+    return false;
+  }
+  return true;
+}
+
+function getLoginLockout(ip) {
+  const entry = loginFailures.get(ip);
+  if (!entry || entry.lockedUntil <= Date.now()) return 0;
+  return entry.lockedUntil - Date.now();
+}
+
+// Each failure past the threshold doubles the lockout, up to the maximum.
+function recordLoginFailure(ip) {
+  const now = Date.now();
+  const entry = loginFailures.get(ip) || { count: 0, lockedUntil: 0 };
+  entry.count += 1;
+  entry.updatedAt = now;
+  if (entry.count >= LOGIN_LOCKOUT_THRESHOLD) {
+    const steps = entry.count - LOGIN_LOCKOUT_THRESHOLD;
+    entry.lockedUntil = now + Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** steps, LOGIN_LOCKOUT_MAX_MS);
+  }
+  loginFailures.set(ip, entry);
+}
+
+function sweepRateLimits() {
+  const now = Date.now();
+  rateBuckets.forEach((bucket, key) => {
+    const rule = RATE_LIMITS[key.slice(0, key.indexOf(":"))];
+    refillBucket(bucket, rule, now);
+    if (bucket.tokens >= rule.capacity) {
+      rateBuckets.delete(key);
+    }
+  });
+  loginFailures.forEach((entry, ip) => {
+    if (entry.lockedUntil <= now && now - entry.updatedAt > LOGIN_FAILURE_TTL_MS) {
+      loginFailures.delete(ip);
+    }
+  });
+}
+
 function parseCookies(req) {
   const header = req.headers.cookie;
   if (!header) return {};
@@ -126,6 +382,13 @@ async function handleLogin(req, res) {
     });
     return;
   }
+  const ip = getClientIp(req);
+  const lockout = getLoginLockout(ip);
+  if (lockout > 0) {
+    req.resume();
+    sendTooManyRequests(res, lockout);
+    return;
+  }
   let body;
   try {
     body = await readJsonBody(req);
@@ -139,9 +402,11 @@ async function handleLogin(req, res) {
     password.length === expected.length &&
     crypto.timingSafeEqual(Buffer.from(password), Buffer.from(expected));
   if (!matches) {
+    recordLoginFailure(ip);
     send(res, 401, "Unauthorized", { "Content-Type": "text/plain; charset=utf-8" });
     return;
   }
+  loginFailures.delete(ip);
   const session = createSession();
   setSessionCookie(res, session.token, req);
   send(res, 200, JSON.stringify({ ok: true }), {
@@ -176,7 +441,7 @@ function formatKstTimestamp(ms) {
   return `${year}${month}${day}_${hours}${minutes}${seconds}_${millis}`;
 }
 
-async function uniqueFilename(baseName, dir = UPLOAD_DIR) {
+async function uniqueFilename(baseName, dir) {
   const ext = path.extname(baseName);
   const base = baseName.slice(0, -ext.length);
   let candidate = baseName;
@@ -195,19 +460,56 @@ async function uniqueFilename(baseName, dir = UPLOAD_DIR) {
   }
 }
 
-async function ensureUploadDir() {
-  await fsp.mkdir(UPLOAD_DIR, { recursive: true });
+async function ensureUploadDir(campaign) {
+  await fsp.mkdir(campaign.uploadDir, { recursive: true });
+}
+
+async function ensureDataDir(dir = DATA_DIR) {
+  await fsp.mkdir(dir, { recursive: true });
+}
+
+function normalizeCampaignText(value, fallback) {
+  const text = String(value || "")
+    .replace(/[\u0000-\u001f\u007f]/g, " ")
+    .trim()
+    .slice(0, MAX_CAMPAIGN_TITLE_LENGTH);
+  return text || fallback;
 }
 
-async function ensureDataDir() {
-  await fsp.mkdir(DATA_DIR, { recursive: true });
+// The default campaign keeps the original layout (uploads/, thumbs/, data/ and
+// slot.json at the root) so existing installs need no migration; every other
+// campaign gets the same layout under campaigns/<id>/.
+function resolveCampaign(record) {
+  const isDefault = record.id === DEFAULT_CAMPAIGN.id;
+  const baseDir = isDefault ? ROOT_DIR : path.join(CAMPAIGN_DIR, record.id);
+  const dataDir = isDefault ? DATA_DIR : path.join(baseDir, "data");
+  const urlPrefix = isDefault ? "" : `/c/${record.id}`;
+  return {
+    id: record.id,
+    title: normalizeCampaignText(record.title, DEFAULT_CAMPAIGN.title),
+    subtitle: normalizeCampaignText(record.subtitle, ""),
+    createdAt: record.createdAt || null,
+    urlPrefix,
+    frameFile: record.frame ? path.join(baseDir, record.frame) : null,
+    frameUrl: record.frame ? `${urlPrefix}/frame` : DEFAULT_FRAME_URL,
+    uploadDir: path.join(baseDir, "uploads"),
+    thumbDir: path.join(baseDir, "thumbs"),
+    slotFile: path.join(baseDir, "slot.json"),
+    dataDir,
+    trashFile: path.join(dataDir, "trash.json"),
+    selectionFile: path.join(dataDir, "selection.json"),
+    uploadKeyFile: path.join(dataDir, "upload-keys.json"),
+    uploadIndexFile: path.join(dataDir, "uploads-index.jsonl"),
+    moderationFile: path.join(dataDir, "moderation.json"),
+    submissionFile: path.join(dataDir, "submissions.json"),
+  };
 }
 
-async function readTrashList() {
+async function readCampaignRecords() {
   try {
-    const raw = await fsp.readFile(TRASH_FILE, "utf-8");
+    const raw = await fsp.readFile(CAMPAIGN_FILE, "utf-8");
     const parsed = JSON.parse(raw || "[]");
-    return Array.isArray(parsed) ? parsed : [];
+    return Array.isArray(parsed) ? parsed.filter((record) => isCampaignId(record?.id)) : [];
   } catch (err) {
     if (err.code === "ENOENT") {
       return [];
@@ -216,490 +518,2657 @@ async function readTrashList() {
   }
 }
 
-async function writeTrashList(entries) {
-  await ensureDataDir();
-  const payload = JSON.stringify(entries, null, 2);
-  await fsp.writeFile(TRASH_FILE, payload);
+// Every request resolves its campaign, so the list is read once and kept;
+// createCampaign drops it. A failed read is not cached.
+function listCampaigns() {
+  if (!campaignsPromise) {
+    campaignsPromise = readCampaignRecords().then((records) =>
+      [DEFAULT_CAMPAIGN, ...records.filter((record) => record.id !== DEFAULT_CAMPAIGN.id)].map(
+        resolveCampaign
+      )
+    );
+    campaignsPromise.catch(() => {
+      campaignsPromise = null;
+    });
+  }
+  return campaignsPromise;
+}
+
+async function getCampaign(id) {
+  const campaigns = await listCampaigns();
+  return campaigns.find((campaign) => campaign.id === id) || null;
 }
 
-async function readSelection() {
+function isCampaignId(id) {
+  return typeof id === "string" && /^[a-z0-9][a-z0-9-]{0,39}$/.test(id);
+}
+
+function toCampaignPayload(campaign) {
+  return {
+    id: campaign.id,
+    title: campaign.title,
+    subtitle: campaign.subtitle,
+    frameUrl: campaign.frameUrl,
+    url: `${campaign.urlPrefix}/`,
+  };
+}
+
+// A new campaign starts with the default slot layout unless one is given, and
+// with the default frame unless an image is uploaded for it.
+async function createCampaign({ id, title, subtitle, frame, slots }) {
+  return queueFileUpdate(CAMPAIGN_FILE, async () => {
+    const records = await readCampaignRecords();
+    if (id === DEFAULT_CAMPAIGN.id || records.some((record) => record.id === id)) {
+      const err = new Error("Campaign exists");
+      err.code = "EEXIST";
+      throw err;
+    }
+    const layout = slots
+      ? JSON.stringify(slots, null, 2)
+      : await fsp.readFile(resolveCampaign(DEFAULT_CAMPAIGN).slotFile, "utf-8");
+    const record = {
+      id,
+      title: normalizeCampaignText(title, DEFAULT_CAMPAIGN.title),
+      subtitle: normalizeCampaignText(subtitle, ""),
+      frame: frame ? `frame${frame.ext}` : null,
+      createdAt: Date.now(),
+    };
+    const campaign = resolveCampaign(record);
+    await fsp.mkdir(campaign.uploadDir, { recursive: true });
+    await ensureDataDir(campaign.dataDir);
+    await fsp.writeFile(campaign.slotFile, layout);
+    if (frame) {
+      await fsp.writeFile(campaign.frameFile, frame.buffer);
+    }
+    records.push(record);
+    await ensureDataDir();
+    await fsp.writeFile(CAMPAIGN_FILE, JSON.stringify(records, null, 2));
+    campaignsPromise = null;
+    return campaign;
+  });
+}
+
+async function readTrashList(campaign) {
   try {
-    const raw = await fsp.readFile(SELECTION_FILE, "utf-8");
-    const parsed = JSON.parse(raw || "{}");
-    const index = Number(parsed?.batchIndex);
-    return Number.isFinite(index) ? index : null;
+    const raw = await fsp.readFile(campaign.trashFile, "utf-8");
+    const parsed = JSON.parse(raw || "[]");
+    return Array.isArray(parsed) ? parsed : [];
   } catch (err) {
     if (err.code === "ENOENT") {
-      return null;
+      return [];
     }
     throw err;
   }
 }
 
-async function writeSelection(batchIndex) {
-  await ensureDataDir();
-  const payload = JSON.stringify({ batchIndex }, null, 2);
-  await fsp.writeFile(SELECTION_FILE, payload);
+async function writeTrashList(campaign, entries) {
+  await ensureDataDir(campaign.dataDir);
+  const payload = JSON.stringify(entries, null, 2);
+  await fsp.writeFile(campaign.trashFile, payload);
 }
 
-function makeTrashId() {
-  return `trash-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+function updateTrashList(campaign, mutate) {
+  return queueFileUpdate(campaign.trashFile, async () => {
+    const list = await readTrashList(campaign);
+    const result = await mutate(list);
+    await writeTrashList(campaign, list);
+    return result;
+  });
 }
 
-function normalizeRelPath(relPath) {
-  return relPath.split(path.sep).join("/");
+async function readUploadKeys(campaign) {
+  try {
+    const raw = await fsp.readFile(campaign.uploadKeyFile, "utf-8");
+    const parsed = JSON.parse(raw || "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return {};
+    }
+    throw err;
+  }
 }
 
-function isBatchDirName(name) {
-  return /^batch-\d{4}$/.test(name);
+function rememberUploadKey(campaign, key, filename) {
+  return queueFileUpdate(campaign.uploadKeyFile, async () => {
+    const keys = await readUploadKeys(campaign);
+    const cutoff = Date.now() - UPLOAD_KEY_TTL_MS;
+    const next = Object.fromEntries(
+      Object.entries(keys).filter(([, entry]) => Number(entry?.createdAt) > cutoff)
+    );
+    next[key] = { filename, createdAt: Date.now() };
+    await ensureDataDir(campaign.dataDir);
+    await fsp.writeFile(campaign.uploadKeyFile, JSON.stringify(next, null, 2));
+  });
 }
 
-async function getPngSize(filePath) {
-  const handle = await fsp.open(filePath, "r");
+async function readSelection(campaign) {
   try {
-    const buffer = Buffer.alloc(24);
-    await handle.read(buffer, 0, 24, 0);
-    const isPng = buffer.readUInt32BE(0) === 0x89504e47;
-    if (!isPng) {
-      throw new Error("Not a PNG");
-    }
-    const width = buffer.readUInt32BE(16);
-    const height = buffer.readUInt32BE(20);
-    if (!Number.isFinite(width) || !Number.isFinite(height) || width === 0 || height === 0) {
-      throw new Error("Invalid PNG size");
+    const raw = await fsp.readFile(campaign.selectionFile, "utf-8");
+    const parsed = JSON.parse(raw || "{}");
+    const index = Number(parsed?.batchIndex);
+    return Number.isFinite(index) ? index : null;
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return null;
     }
-    return { width, height };
-  } finally {
-    await handle.close();
+    throw err;
   }
 }
 
-async function markAsTrashed(relPath) {
-  const sourcePath = safeUploadsPath(relPath);
-  await fsp.access(sourcePath);
+async function writeSelection(campaign, batchIndex) {
+  await ensureDataDir(campaign.dataDir);
+  const payload = JSON.stringify({ batchIndex }, null, 2);
+  await fsp.writeFile(campaign.selectionFile, payload);
+}
 
-  const normalized = normalizeRelPath(path.relative(UPLOAD_DIR, sourcePath));
-  const list = await readTrashList();
-  const existing = list.find((entry) => entry.path === normalized);
-  if (existing) {
-    return existing;
+async function readModeration(campaign) {
+  try {
+    const raw = await fsp.readFile(campaign.moderationFile, "utf-8");
+    const parsed = JSON.parse(raw || "{}");
+    return {
+      autoApprove: parsed?.autoApprove === true,
+      items: parsed?.items && typeof parsed.items === "object" ? parsed.items : {},
+    };
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return { autoApprove: false, items: {} };
+    }
+    throw err;
   }
+}
 
-  const entry = {
-    id: makeTrashId(),
-    filename: path.basename(normalized),
-    path: normalized,
-    trashedAt: Date.now(),
-  };
+// Uploads can finish at the same time, so read-modify-write cycles on the same
+// JSON file run one after another instead of racing.
+function queueFileUpdate(filePath, task) {
+  const previous = fileUpdateQueues.get(filePath) || Promise.resolve();
+  const run = previous.then(task);
+  fileUpdateQueues.set(
+    filePath,
+    run.catch(() => {
+      // the next update reads the file again
+    })
+  );
+  return run;
+}
 
-  list.unshift(entry);
-  await writeTrashList(list);
-  return entry;
+function updateModeration(campaign, mutate) {
+  return queueFileUpdate(campaign.moderationFile, async () => {
+    const moderation = await readModeration(campaign);
+    const result = mutate(moderation);
+    await ensureDataDir(campaign.dataDir);
+    await fsp.writeFile(campaign.moderationFile, JSON.stringify(moderation, null, 2));
+    return result;
+  });
 }
 
-async function restoreTrashEntry(id) {
-  const list = await readTrashList();
-  const idx = list.findIndex((entry) => entry.id === id);
-  if (idx === -1) {
-    return null;
-  }
-  const entry = list[idx];
-  list.splice(idx, 1);
-  await writeTrashList(list);
-  return entry;
+// Files without a record predate moderation or were copied in by hand, so they
+// count as approved.
+function getModerationStatus(moderation, relPath) {
+  const status = moderation.items[relPath]?.status;
+  return MODERATION_STATUSES.includes(status) ? status : "approved";
 }
 
-function roundLayoutValue(value) {
-  return Math.round(value);
+function registerUpload(campaign, relPath) {
+  return updateModeration(campaign, (moderation) => {
+    const status = moderation.autoApprove ? "approved" : "pending";
+    moderation.items[relPath] = { status, uploadedAt: Date.now() };
+    return status;
+  });
 }
 
-function isFiniteNumber(value) {
-  return Number.isFinite(value);
+function setModerationStatus(campaign, paths, status) {
+  return updateModeration(campaign, (moderation) => {
+    paths.forEach((relPath) => {
+      moderation.items[relPath] = {
+        ...moderation.items[relPath],
+        status,
+        reviewedAt: Date.now(),
+      };
+    });
+    return paths.length;
+  });
 }
 
-async function readSlotDefinitions() {
+async function readSubmissions(campaign) {
   try {
-    const raw = await fsp.readFile(SLOT_FILE, "utf-8");
-    const parsed = JSON.parse(raw || "[]");
-    const slots = Array.isArray(parsed) ? parsed : parsed?.slots;
-    if (!Array.isArray(slots)) {
-      throw new Error("slot.json must be an array or { slots: [...] }");
-    }
-    if (slots.length < SLOT_COUNT) {
-      throw new Error(`slot.json must contain at least ${SLOT_COUNT} slots`);
-    }
-    return slots
-      .map((slot, index) => {
-        const disabled = slot?.disabled === true || slot?.enabled === false;
-        const row = Number(slot?.row);
-        const col = Number(slot?.col);
-        if (!disabled && (!Number.isFinite(row) || !Number.isFinite(col))) {
-          throw new Error(`slot ${index + 1} missing row/col`);
-        }
-        return {
-          slot: Number.isFinite(slot?.slot) ? Number(slot.slot) : index + 1,
-          row: Number.isFinite(row) ? row : null,
-          col: Number.isFinite(col) ? col : null,
-          x: Number.isFinite(slot?.x) ? Number(slot.x) : null,
-          y: Number.isFinite(slot?.y) ? Number(slot.y) : null,
-          w: Number.isFinite(slot?.w) ? Number(slot.w) : null,
-          h: Number.isFinite(slot?.h) ? Number(slot.h) : null,
-          disabled,
-        };
-      })
-      .sort((a, b) => a.slot - b.slot);
+    const raw = await fsp.readFile(campaign.submissionFile, "utf-8");
+    const parsed = JSON.parse(raw || "{}");
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
   } catch (err) {
     if (err.code === "ENOENT") {
-      throw new Error("slot.json not found");
+      return {};
     }
     throw err;
   }
 }
 
-async function getOrderedImages() {
-  await ensureUploadDir();
-  const entries = await fsp.readdir(UPLOAD_DIR, { withFileTypes: true });
-  const files = [];
+function cleanSubmissionText(value, maxLength) {
+  return String(value || "")
+    .replace(/[\u0000-\u001f\u007f]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, maxLength);
+}
 
-  for (const entry of entries) {
-    if (entry.isFile() && entry.name.endsWith(".png")) {
-      files.push({ name: entry.name, path: entry.name });
-    }
-    if (entry.isDirectory() && isBatchDirName(entry.name)) {
-      const dirPath = path.join(UPLOAD_DIR, entry.name);
-      const inner = await fsp.readdir(dirPath, { withFileTypes: true });
-      inner
-        .filter((child) => child.isFile() && child.name.endsWith(".png"))
-        .forEach((child) => {
-          files.push({
-            name: child.name,
-            path: `${entry.name}/${child.name}`,
-          });
-        });
-    }
+// Personal details are only kept when the fan ticked the consent box; without
+// it the drawing is saved anonymously.
+function normalizeSubmission(input) {
+  if (!input || typeof input !== "object") return null;
+  const consent = input.consent === true || input.consent === "true" || input.consent === "on";
+  if (!consent) return null;
+  const country = String(input.country || "").toUpperCase();
+  const language = String(input.language || "").toLowerCase();
+  const submission = {
+    nickname: cleanSubmissionText(input.nickname, MAX_NICKNAME_LENGTH),
+    country: /^[A-Z]{2}$/.test(country) ? country : "",
+    language: /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/.test(language) ? language : "",
+    message: cleanSubmissionText(input.message, MAX_MESSAGE_LENGTH),
+  };
+  if (!submission.nickname && !submission.country && !submission.language && !submission.message) {
+    return null;
   }
+  return { ...submission, consent: true, submittedAt: Date.now() };
+}
 
-  const stats = await Promise.all(
-    files.map(async (file) => {
-      const stat = await fsp.stat(path.join(UPLOAD_DIR, file.path));
-      return { ...file, mtimeMs: stat.mtimeMs };
-    })
-  );
-
-  stats.sort((a, b) => a.mtimeMs - b.mtimeMs);
-  const ordered = stats.map((entry) => entry.path);
-  const statMap = new Map(stats.map((entry) => [entry.path, entry.mtimeMs]));
+function saveSubmission(campaign, relPath, submission) {
+  return queueFileUpdate(campaign.submissionFile, async () => {
+    const submissions = await readSubmissions(campaign);
+    submissions[relPath] = submission;
+    await ensureDataDir(campaign.dataDir);
+    await fsp.writeFile(campaign.submissionFile, JSON.stringify(submissions, null, 2));
+  });
+}
 
-  return { ordered, statMap };
+function forgetModeration(campaign, paths) {
+  return updateModeration(campaign, (moderation) => {
+    paths.forEach((relPath) => {
+      delete moderation.items[relPath];
+    });
+  });
 }
 
-async function getTrashSet() {
-  const list = await readTrashList();
-  return new Set(list.map((entry) => entry.path));
+function forgetSubmissions(campaign, paths) {
+  return queueFileUpdate(campaign.submissionFile, async () => {
+    const submissions = await readSubmissions(campaign);
+    paths.forEach((relPath) => {
+      delete submissions[relPath];
+    });
+    await ensureDataDir(campaign.dataDir);
+    await fsp.writeFile(campaign.submissionFile, JSON.stringify(submissions, null, 2));
+  });
 }
 
-function chunkArray(items, size) {
-  const batches = [];
-  for (let i = 0; i < items.length; i += size) {
-    batches.push(items.slice(i, i + size));
-  }
-  return batches;
+function toSubmissionPayload(submission) {
+  if (!submission) return null;
+  const { nickname, country, language, message, submittedAt } = submission;
+  return { nickname, country, language, message, submittedAt };
 }
 
-function resolveBatchIndex(index, total) {
-  if (!Number.isFinite(total) || total <= 0) return null;
-  if (!Number.isFinite(index)) return 0;
-  if (index < 0) return 0;
-  if (index >= total) return total - 1;
-  return index;
+function setAutoApprove(campaign, autoApprove) {
+  return updateModeration(campaign, (moderation) => {
+    moderation.autoApprove = autoApprove;
+    return autoApprove;
+  });
 }
 
-async function getSelectedBatchIndex(total) {
-  const stored = await readSelection();
-  return resolveBatchIndex(stored, total);
+// Seeded on first use so the catalog starts with the stickers that used to be
+// hard-coded in index.html.
+function createDefaultStickerCatalog() {
+  const stickers = [1, 2, 3, 4, 5, 6, 7].map((number, index) => ({
+    id: `sticker-default-${number}`,
+    name: `스티커 ${number}`,
+    size: number <= 3 ? "big" : "small",
+    src: `/assets/stickers/sticker_${number}.png`,
+    order: index,
+    enabled: true,
+  }));
+  return {
+    packs: [
+      { id: "pack-default", name: "기본", order: 0, enabled: true, stickers },
+    ],
+  };
 }
 
-async function serveStatic(res, filePath) {
+async function readStickerCatalog() {
   try {
-    const data = await fsp.readFile(filePath);
-    const ext = path.extname(filePath).toLowerCase();
-    const type = MIME_TYPES[ext] || "application/octet-stream";
-    send(res, 200, data, { "Content-Type": type });
+    const raw = await fsp.readFile(STICKER_FILE, "utf-8");
+    const parsed = JSON.parse(raw || "{}");
+    return { packs: Array.isArray(parsed?.packs) ? parsed.packs : [] };
   } catch (err) {
     if (err.code === "ENOENT") {
-      send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
-      return;
+      return createDefaultStickerCatalog();
     }
-    send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    throw err;
   }
 }
 
-async function listImages() {
-  const { ordered } = await getOrderedImages();
-  const trashSet = await getTrashSet();
-  return ordered
-    .filter((relPath) => !trashSet.has(relPath))
-    .map((relPath) => ({
-      filename: path.basename(relPath),
-      path: relPath,
-      url: `/uploads/${relPath}`,
-    }));
+async function writeStickerCatalog(catalog) {
+  await ensureDataDir();
+  const payload = JSON.stringify(catalog, null, 2);
+  await fsp.writeFile(STICKER_FILE, payload);
 }
 
-async function listFolders() {
-  return [];
+// Runs `mutate` on the catalog in the sticker file's update queue, and writes
+// the catalog back only when it returns a result.
+function updateStickerCatalog(mutate) {
+  return queueFileUpdate(STICKER_FILE, async () => {
+    const catalog = await readStickerCatalog();
+    const result = await mutate(catalog);
+    if (result) {
+      await writeStickerCatalog(catalog);
+    }
+    return result;
+  });
 }
 
-async function listTrash() {
-  const list = await readTrashList();
-  const items = [];
+function byOrder(a, b) {
+  return (Number(a.order) || 0) - (Number(b.order) || 0);
+}
 
-  for (const entry of list) {
-    if (!entry || !entry.path) continue;
-    try {
-      const filePath = safeUploadsPath(entry.path);
-      await fsp.access(filePath);
-    } catch (err) {
-      continue;
-    }
-    items.push({
-      id: entry.id,
-      filename: entry.filename || path.basename(entry.path),
-      path: entry.path,
-      trashedAt: entry.trashedAt || null,
-      url: `/uploads/${entry.path}`,
-    });
-  }
+function getStickerUrl(sticker) {
+  return sticker.file ? `/stickers/${sticker.file}` : sticker.src;
+}
 
-  return items;
+function toStickerPayload(sticker) {
+  return {
+    id: sticker.id,
+    name: sticker.name,
+    size: sticker.size,
+    url: getStickerUrl(sticker),
+    enabled: sticker.enabled !== false,
+  };
 }
 
-async function listBatches() {
-  const items = await listImages();
-  const batches = chunkArray(items, SLOT_COUNT).map((batchItems, index) => ({
-    index,
-    count: batchItems.length,
-    items: batchItems,
-  }));
-  const selectedIndex = await getSelectedBatchIndex(batches.length);
+function toPackPayload(pack, { includeDisabled }) {
+  const stickers = (Array.isArray(pack.stickers) ? pack.stickers : [])
+    .filter((sticker) => includeDisabled || sticker.enabled !== false)
+    .sort(byOrder)
+    .map(toStickerPayload);
   return {
-    batchSize: SLOT_COUNT,
-    selectedIndex,
-    batches: batches.map((batch) => ({
-      ...batch,
-      isSelected: batch.index === selectedIndex,
-    })),
+    id: pack.id,
+    name: pack.name,
+    enabled: pack.enabled !== false,
+    stickers,
   };
 }
 
-async function listSlots() {
-  const slotDefs = await readSlotDefinitions();
-  const { ordered, statMap } = await getOrderedImages();
-  const trashSet = await getTrashSet();
+async function listStickerPacks({ includeDisabled = false } = {}) {
+  const catalog = await readStickerCatalog();
+  return catalog.packs
+    .filter((pack) => includeDisabled || pack.enabled !== false)
+    .sort(byOrder)
+    .map((pack) => toPackPayload(pack, { includeDisabled }))
+    .filter((pack) => includeDisabled || pack.stickers.length > 0);
+}
 
-  const activeSlots = slotDefs.filter(
-    (slot) => !slot.disabled && Number.isFinite(slot.row) && Number.isFinite(slot.col)
-  );
-  if (activeSlots.length < SLOT_COUNT) {
-    throw new Error(`slot.json must have at least ${SLOT_COUNT} enabled slots`);
+function findSticker(catalog, id) {
+  for (const pack of catalog.packs) {
+    const sticker = (pack.stickers || []).find((entry) => entry.id === id);
+    if (sticker) {
+      return { pack, sticker };
+    }
   }
+  return null;
+}
 
-  const visibleSlots = activeSlots.slice(0, SLOT_COUNT);
-  const visibleImages = ordered.filter((relPath) => !trashSet.has(relPath));
-  const totalBatches = Math.ceil(visibleImages.length / SLOT_COUNT);
-  const selectedIndex = await getSelectedBatchIndex(totalBatches);
-  if (selectedIndex === null) {
-    return [];
-  }
-  const start = selectedIndex * SLOT_COUNT;
-  const batchImages = visibleImages.slice(start, start + SLOT_COUNT);
+function normalizeStickerName(name, fallback) {
+  const value = String(name || "").trim().slice(0, MAX_STICKER_NAME_LENGTH);
+  return value || fallback;
+}
 
-  if (batchImages.length === 0) {
-    return [];
-  }
+function makeStickerId(prefix) {
+  return `${prefix}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
 
-  const cellWidth =
-    (OVERLAY_WIDTH - PADDING_LEFT - PADDING_RIGHT - GAP * (COLUMNS - 1)) / COLUMNS;
-  const cellHeight = (cellWidth * DEFAULT_IMAGE_HEIGHT) / DEFAULT_IMAGE_WIDTH;
-  const leftOrigin = OVERLAY_LEFT + PADDING_LEFT;
+function createStickerPack(name) {
+  return updateStickerCatalog((catalog) => {
+    const pack = {
+      id: makeStickerId("pack"),
+      name: normalizeStickerName(name, "새 스티커 팩"),
+      order: catalog.packs.reduce((max, entry) => Math.max(max, Number(entry.order) || 0), -1) + 1,
+      enabled: true,
+      stickers: [],
+    };
+    catalog.packs.push(pack);
+    return toPackPayload(pack, { includeDisabled: true });
+  });
+}
 
-  const count = Math.min(visibleSlots.length, batchImages.length);
-  const items = await Promise.all(
-    visibleSlots.slice(0, count).map(async (slot, index) => {
-      const relPath = batchImages[index] || null;
-      if (!relPath) {
-        return null;
-      }
-      const filename = path.basename(relPath);
-      const width = isFiniteNumber(slot.w) ? slot.w : cellWidth;
-      let height = isFiniteNumber(slot.h) ? slot.h : cellHeight;
+function updateStickerPack(id, changes) {
+  return updateStickerCatalog((catalog) => {
+    const pack = catalog.packs.find((entry) => entry.id === id);
+    if (!pack) return null;
+    if (changes.name !== undefined) {
+      pack.name = normalizeStickerName(changes.name, pack.name);
+    }
+    if (changes.enabled !== undefined) {
+      pack.enabled = Boolean(changes.enabled);
+    }
+    return toPackPayload(pack, { includeDisabled: true });
+  });
+}
+
+function parseImageDataUrl(dataUrl) {
+  const match = String(dataUrl || "").match(/^data:image\/(png|jpeg|webp);base64,(.+)$/);
+  if (!match) return null;
+  return {
+    format: match[1],
+    ext: IMAGE_FORMATS[match[1]],
+    buffer: Buffer.from(match[2], "base64"),
+  };
+}
+
+function addSticker({ packId, name, size, image }) {
+  return updateStickerCatalog(async (catalog) => {
+    const pack = catalog.packs.find((entry) => entry.id === packId);
+    if (!pack) return null;
+
+    await fsp.mkdir(STICKER_DIR, { recursive: true });
+    const { ext } = image;
+    const filename = await uniqueFilename(
+      `sticker-${formatKstTimestamp(Date.now())}${ext}`,
+      STICKER_DIR
+    );
+    await fsp.writeFile(path.join(STICKER_DIR, filename), image.buffer);
+
+    pack.stickers = Array.isArray(pack.stickers) ? pack.stickers : [];
+    const sticker = {
+      id: makeStickerId("sticker"),
+      name: normalizeStickerName(name, path.basename(filename, ext)),
+      size: STICKER_SIZES.includes(size) ? size : "small",
+      file: filename,
+      order: pack.stickers.reduce((max, entry) => Math.max(max, Number(entry.order) || 0), -1) + 1,
+      enabled: true,
+    };
+    pack.stickers.push(sticker);
+    return toStickerPayload(sticker);
+  });
+}
+
+function updateSticker(id, changes) {
+  return updateStickerCatalog((catalog) => {
+    const found = findSticker(catalog, id);
+    if (!found) return null;
+    const { sticker } = found;
+    if (changes.name !== undefined) {
+      sticker.name = normalizeStickerName(changes.name, sticker.name);
+    }
+    if (STICKER_SIZES.includes(changes.size)) {
+      sticker.size = changes.size;
+    }
+    if (changes.enabled !== undefined) {
+      sticker.enabled = Boolean(changes.enabled);
+    }
+    return toStickerPayload(sticker);
+  });
+}
+
+// `ids` lists packs (when packId is empty) or the stickers of one pack in
+// their new order; entries that aren't listed keep their place at the end.
+function reorderStickers(packId, ids) {
+  return updateStickerCatalog((catalog) => {
+    let entries = catalog.packs;
+    if (packId) {
+      const pack = catalog.packs.find((entry) => entry.id === packId);
+      if (!pack) return false;
+      entries = Array.isArray(pack.stickers) ? pack.stickers : [];
+    }
+    const positions = new Map(ids.map((id, index) => [id, index]));
+    entries
+      .slice()
+      .sort(byOrder)
+      .sort((a, b) => {
+        const left = positions.has(a.id) ? positions.get(a.id) : ids.length;
+        const right = positions.has(b.id) ? positions.get(b.id) : ids.length;
+        return left - right;
+      })
+      .forEach((entry, index) => {
+        entry.order = index;
+      });
+    return true;
+  });
+}
+
+function makeTrashId() {
+  return `trash-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function normalizeRelPath(relPath) {
+  return relPath.split(path.sep).join("/");
+}
+
+function isBatchDirName(name) {
+  return /^batch-\d{4}$/.test(name);
+}
+
+function isImageFileName(name) {
+  return IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+// Uploads live in uploads/ itself or in one batch-NNNN folder below it, which
+// is where scanUploadFiles looks.
+function isUploadFilePath(relPath) {
+  const parts = relPath.split("/");
+  if (!isImageFileName(parts[parts.length - 1])) return false;
+  return parts.length === 1 || (parts.length === 2 && isBatchDirName(parts[0]));
+}
+
+function readPngSize(buffer) {
+  if (buffer.length < 24 || buffer.readUInt32BE(0) !== 0x89504e47) return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+// Walks the JPEG markers up to the first start-of-frame, which holds the size.
+function readJpegSize(buffer) {
+  if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xffd8) return null;
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrame) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function readWebpSize(buffer) {
+  if (
+    buffer.length < 30 ||
+    buffer.toString("ascii", 0, 4) !== "RIFF" ||
+    buffer.toString("ascii", 8, 12) !== "WEBP"
+  ) {
+    return null;
+  }
+  const chunk = buffer.toString("ascii", 12, 16);
+  if (chunk === "VP8 ") {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === "VP8L") {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X") {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+async function getImageSize(filePath) {
+  const handle = await fsp.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    const header = buffer.subarray(0, bytesRead);
+    const size = readPngSize(header) || readJpegSize(header) || readWebpSize(header);
+    if (!size) {
+      throw new Error("Unsupported image");
+    }
+    const { width, height } = size;
+    if (!Number.isFinite(width) || !Number.isFinite(height) || width === 0 || height === 0) {
+      throw new Error("Invalid image size");
+    }
+    return { width, height };
+  } finally {
+    await handle.close();
+  }
+}
+
+async function markAsTrashed(campaign, relPath) {
+  const sourcePath = safeUploadsPath(campaign, relPath);
+  await fsp.access(sourcePath);
+
+  const normalized = normalizeRelPath(path.relative(campaign.uploadDir, sourcePath));
+  const uploadId = await ensureUploadIndexed(campaign, normalized);
+  return updateTrashList(campaign, (list) => {
+    const existing = list.find(
+      (entry) => entry.uploadId === uploadId || (!entry.uploadId && entry.path === normalized)
+    );
+    if (existing) {
+      return existing;
+    }
+
+    const entry = {
+      id: makeTrashId(),
+      uploadId,
+      filename: path.basename(normalized),
+      path: normalized,
+      trashedAt: Date.now(),
+    };
+    if (TRASH_RETENTION_MS) {
+      entry.purgeAfter = entry.trashedAt + TRASH_RETENTION_MS;
+    }
+
+    list.unshift(entry);
+    return entry;
+  });
+}
+
+function restoreTrashEntry(campaign, id) {
+  return updateTrashList(campaign, (list) => {
+    const idx = list.findIndex((entry) => entry.id === id);
+    if (idx === -1) {
+      return null;
+    }
+    const [entry] = list.splice(idx, 1);
+    return entry;
+  });
+}
+
+// Deletes the selected trash entries for good. The file goes first and then
+// the index gets a "remove" record, so neither listImages nor a reconcile can
+// bring the drawing back; moderation and submission records are dropped with
+// it. An entry only leaves the trash once all of that worked, and running
+// inside the trash queue keeps a restore from racing the purge.
+function purgeTrash(campaign, shouldPurge) {
+  return updateTrashList(campaign, async (list) => {
+    const index = await getUploadIndex(campaign);
+    const purged = [];
+    for (const entry of list.filter(shouldPurge)) {
+      const uploadId = index.entries.has(entry.uploadId)
+        ? entry.uploadId
+        : index.byPath.get(entry.path);
+      const relPath = uploadId ? index.entries.get(uploadId).path : entry.path;
       try {
-        const size = await getPngSize(path.join(UPLOAD_DIR, relPath));
-        height = (width * size.height) / size.width;
+        if (relPath) {
+          const sourcePath = safeUploadsPath(campaign, relPath);
+          await fsp.rm(sourcePath, { force: true });
+          const thumbPath = path.join(campaign.thumbDir, path.relative(campaign.uploadDir, sourcePath));
+          await fsp.rm(thumbPath, { force: true });
+        }
+        purged.push({ entry, uploadId, relPath });
       } catch (err) {
-        // fallback to default aspect ratio
+        // stays in the trash for the next purge
       }
+    }
+    if (purged.length === 0) return 0;
+
+    await removeUploadsFromIndex(campaign, purged.map((item) => item.uploadId).filter(Boolean));
+    const paths = purged.map((item) => item.relPath).filter(Boolean);
+    await forgetModeration(campaign, paths);
+    await forgetSubmissions(campaign, paths);
+    const purgedIds = new Set(purged.map((item) => item.entry.id));
+    const remaining = list.filter((entry) => !purgedIds.has(entry.id));
+    list.splice(0, list.length, ...remaining);
+    return purged.length;
+  });
+}
 
-      const x = isFiniteNumber(slot.x)
-        ? slot.x
-        : leftOrigin + slot.col * (cellWidth + GAP);
-      const y = isFiniteNumber(slot.y)
-        ? slot.y
-        : PADDING_TOP + slot.row * (cellHeight + GAP);
+// Entries without a purgeAfter were trashed while retention was off (or
+// before it existed); their retention starts now rather than at trashedAt, so
+// turning it on never deletes old entries on the spot.
+function purgeExpiredTrash(campaign) {
+  if (!TRASH_RETENTION_MS) return Promise.resolve(0);
+  const now = Date.now();
+  return purgeTrash(campaign, (entry) => {
+    if (!Number.isFinite(entry.purgeAfter)) {
+      entry.purgeAfter = now + TRASH_RETENTION_MS;
+    }
+    return entry.purgeAfter <= now;
+  });
+}
+
+function roundLayoutValue(value) {
+  return Math.round(value);
+}
 
+function isFiniteNumber(value) {
+  return Number.isFinite(value);
+}
+
+function parseSlotDefinitions(parsed) {
+  const slots = Array.isArray(parsed) ? parsed : parsed?.slots;
+  if (!Array.isArray(slots)) {
+    throw new Error("slot.json must be an array or { slots: [...] }");
+  }
+  if (slots.length < SLOT_COUNT) {
+    throw new Error(`slot.json must contain at least ${SLOT_COUNT} slots`);
+  }
+  return slots
+    .map((slot, index) => {
+      const disabled = slot?.disabled === true || slot?.enabled === false;
+      const row = Number(slot?.row);
+      const col = Number(slot?.col);
+      if (!disabled && (!Number.isFinite(row) || !Number.isFinite(col))) {
+        throw new Error(`slot ${index + 1} missing row/col`);
+      }
       return {
-        filename,
-        row: slot.row,
-        col: slot.col,
-        x: roundLayoutValue(x),
-        y: roundLayoutValue(y),
-        w: roundLayoutValue(width),
-        h: roundLayoutValue(height),
-        updatedAt: statMap.get(relPath) || Date.now(),
-        url: `/uploads/${relPath}`,
+        slot: Number.isFinite(slot?.slot) ? Number(slot.slot) : index + 1,
+        row: Number.isFinite(row) ? row : null,
+        col: Number.isFinite(col) ? col : null,
+        x: Number.isFinite(slot?.x) ? Number(slot.x) : null,
+        y: Number.isFinite(slot?.y) ? Number(slot.y) : null,
+        w: Number.isFinite(slot?.w) ? Number(slot.w) : null,
+        h: Number.isFinite(slot?.h) ? Number(slot.h) : null,
+        disabled,
       };
     })
+    .sort((a, b) => a.slot - b.slot);
+}
+
+async function readSlotDefinitions(campaign) {
+  try {
+    const raw = await fsp.readFile(campaign.slotFile, "utf-8");
+    return parseSlotDefinitions(JSON.parse(raw || "[]"));
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw new Error("slot.json not found");
+    }
+    throw err;
+  }
+}
+
+async function scanUploadFiles(campaign) {
+  await ensureUploadDir(campaign);
+  const entries = await fsp.readdir(campaign.uploadDir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    if (entry.isFile() && isImageFileName(entry.name)) {
+      files.push({ name: entry.name, path: entry.name });
+    }
+    if (entry.isDirectory() && isBatchDirName(entry.name)) {
+      const dirPath = path.join(campaign.uploadDir, entry.name);
+      const inner = await fsp.readdir(dirPath, { withFileTypes: true });
+      inner
+        .filter((child) => child.isFile() && isImageFileName(child.name))
+        .forEach((child) => {
+          files.push({
+            name: child.name,
+            path: `${entry.name}/${child.name}`,
+          });
+        });
+    }
+  }
+
+  const stats = await Promise.all(
+    files.map(async (file) => {
+      const stat = await fsp.stat(path.join(campaign.uploadDir, file.path));
+      return { ...file, mtimeMs: stat.mtimeMs };
+    })
   );
+  stats.sort((a, b) => a.mtimeMs - b.mtimeMs || a.path.localeCompare(b.path));
+  return stats;
+}
 
-  return items.filter(Boolean);
+function makeUploadId() {
+  return `upload-${Date.now().toString(36)}-${crypto.randomBytes(4).toString("hex")}`;
 }
 
-function safeUploadsPath(urlPath) {
-  const decoded = decodeURIComponent(urlPath);
-  const normalized = path.normalize(decoded).replace(/^(\.\.(\/|\\|$))+/, "");
-  if (path.isAbsolute(normalized)) {
-    throw new Error("Invalid path");
+// data/uploads-index.jsonl is an append-only log: "add" records give each
+// upload a stable id, creation time and position, "remove" records drop it.
+// Replaying the log rebuilds the index, so copying uploads/ and data/ to
+// another machine keeps the wall in the same order regardless of mtimes.
+function applyUploadIndexRecord(index, record) {
+  if (record?.op === "add" && record.id && record.path) {
+    index.entries.set(record.id, {
+      id: record.id,
+      path: record.path,
+      createdAt: record.createdAt,
+      order: record.order,
+    });
+    index.byPath.set(record.path, record.id);
+    index.nextOrder = Math.max(index.nextOrder, Number(record.order) + 1 || 0);
+  } else if (record?.op === "remove" && index.entries.has(record.id)) {
+    index.byPath.delete(index.entries.get(record.id).path);
+    index.entries.delete(record.id);
   }
-  const resolved = path.resolve(UPLOAD_DIR, normalized);
-  if (resolved !== UPLOAD_DIR && !resolved.startsWith(UPLOAD_DIR + path.sep)) {
-    throw new Error("Invalid path");
+}
+
+async function loadUploadIndex(campaign) {
+  const index = { entries: new Map(), byPath: new Map(), nextOrder: 0 };
+  let raw = "";
+  try {
+    raw = await fsp.readFile(campaign.uploadIndexFile, "utf-8");
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
   }
-  return resolved;
+  raw.split("\n").forEach((line) => {
+    if (!line.trim()) return;
+    try {
+      applyUploadIndexRecord(index, JSON.parse(line));
+    } catch (err) {
+      // a torn last line from a crash mid-append; the rest is still valid
+    }
+  });
+  return index;
 }
 
-function safePublicPath(urlPath) {
-  const decoded = decodeURIComponent(urlPath);
-  const normalized = path.normalize(decoded).replace(/^(\.\.(\/|\\|$))+/, "");
-  const relative = normalized.replace(/^[/\\]+/, "");
-  const resolved = path.resolve(PUBLIC_DIR, relative);
-  if (resolved !== PUBLIC_DIR && !resolved.startsWith(PUBLIC_DIR + path.sep)) {
+function getUploadIndex(campaign) {
+  if (!uploadIndexes.has(campaign.id)) {
+    const loading = loadUploadIndex(campaign);
+    uploadIndexes.set(campaign.id, loading);
+    loading.catch(() => {
+      uploadIndexes.delete(campaign.id);
+    });
+  }
+  return uploadIndexes.get(campaign.id);
+}
+
+// `build` runs inside the write queue so orders are handed out one at a time;
+// the in-memory index only changes once the records are on disk.
+function appendUploadIndex(campaign, build) {
+  return queueFileUpdate(campaign.uploadIndexFile, async () => {
+    const index = await getUploadIndex(campaign);
+    const records = build(index);
+    if (records.length === 0) return records;
+    await ensureDataDir(campaign.dataDir);
+    const lines = records.map((record) => `${JSON.stringify(record)}\n`).join("");
+    await fsp.appendFile(campaign.uploadIndexFile, lines);
+    records.forEach((record) => applyUploadIndexRecord(index, record));
+    return records;
+  });
+}
+
+function createAddRecords(index, files) {
+  let order = index.nextOrder;
+  return files
+    .filter((file) => !index.byPath.has(file.path))
+    .map((file) => {
+      const record = {
+        op: "add",
+        id: makeUploadId(),
+        path: file.path,
+        createdAt: Math.round(file.createdAt),
+        order,
+      };
+      order += 1;
+      return record;
+    });
+}
+
+async function addUploadToIndex(campaign, relPath) {
+  const [record] = await appendUploadIndex(campaign, (index) =>
+    createAddRecords(index, [{ path: relPath, createdAt: Date.now() }])
+  );
+  return record;
+}
+
+// Files copied into uploads/ by hand only get an id from the next reconcile.
+// Admin actions on such a file index it right away, the same way a reconcile
+// would, instead of answering 404 for a file that is on disk.
+async function ensureUploadIndexed(campaign, relPath) {
+  const index = await getUploadIndex(campaign);
+  if (index.byPath.has(relPath)) {
+    return index.byPath.get(relPath);
+  }
+  if (!isUploadFilePath(relPath)) {
     throw new Error("Invalid path");
   }
-  return resolved;
-}
+  const { mtimeMs } = await fsp.stat(path.join(campaign.uploadDir, relPath));
+  await appendUploadIndex(campaign, (current) =>
+    createAddRecords(current, [{ path: relPath, createdAt: mtimeMs }])
+  );
+  return (await getUploadIndex(campaign)).byPath.get(relPath);
+}
+
+function removeUploadsFromIndex(campaign, ids) {
+  return appendUploadIndex(campaign, (index) =>
+    ids.filter((id) => index.entries.has(id)).map((id) => ({ op: "remove", id }))
+  );
+}
+
+// Brings the index in line with what is on disk: files copied in by hand are
+// appended in mtime order, and entries whose file was deleted are removed.
+async function reconcileUploadIndex(campaign) {
+  const files = await scanUploadFiles(campaign);
+  const onDisk = new Set(files.map((file) => file.path));
+  const records = await appendUploadIndex(campaign, (index) => [
+    ...createAddRecords(
+      index,
+      files.map((file) => ({ path: file.path, createdAt: file.mtimeMs }))
+    ),
+    ...Array.from(index.entries.values())
+      .filter((entry) => !onDisk.has(entry.path))
+      .map((entry) => ({ op: "remove", id: entry.id })),
+  ]);
+  return {
+    added: records.filter((record) => record.op === "add").length,
+    removed: records.filter((record) => record.op === "remove").length,
+  };
+}
+
+async function getOrderedImages(campaign) {
+  const index = await getUploadIndex(campaign);
+  const entries = Array.from(index.entries.values()).sort((a, b) => a.order - b.order);
+  return {
+    ordered: entries.map((entry) => entry.path),
+    entryMap: new Map(entries.map((entry) => [entry.path, entry])),
+  };
+}
+
+// Trash entries point at the upload id; entries written before the index
+// existed only have a path.
+async function getTrashSet(campaign) {
+  const list = await readTrashList(campaign);
+  const index = await getUploadIndex(campaign);
+  const paths = new Set();
+  list.forEach((entry) => {
+    const indexed = index.entries.get(entry.uploadId);
+    paths.add(indexed ? indexed.path : entry.path);
+  });
+  return paths;
+}
+
+function chunkArray(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+function resolveBatchIndex(index, total) {
+  if (!Number.isFinite(total) || total <= 0) return null;
+  if (!Number.isFinite(index)) return 0;
+  if (index < 0) return 0;
+  if (index >= total) return total - 1;
+  return index;
+}
+
+async function getSelectedBatchIndex(campaign, total) {
+  const stored = await readSelection(campaign);
+  return resolveBatchIndex(stored, total);
+}
+
+async function serveStatic(res, filePath) {
+  try {
+    const data = await fsp.readFile(filePath);
+    const ext = path.extname(filePath).toLowerCase();
+    const type = MIME_TYPES[ext] || "application/octet-stream";
+    send(res, 200, data, { "Content-Type": type });
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
+      return;
+    }
+    send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+  }
+}
+
+// Images that may appear on the wall: not trashed and approved by a moderator.
+async function getApprovedImages(campaign) {
+  const { ordered, entryMap } = await getOrderedImages(campaign);
+  const trashSet = await getTrashSet(campaign);
+  const moderation = await readModeration(campaign);
+  return {
+    ordered: ordered.filter(
+      (relPath) => !trashSet.has(relPath) && getModerationStatus(moderation, relPath) === "approved"
+    ),
+    entryMap,
+  };
+}
+
+async function listImages(campaign) {
+  const { ordered, entryMap } = await getApprovedImages(campaign);
+  const submissions = await readSubmissions(campaign);
+  return ordered.map((relPath) => ({
+    id: entryMap.get(relPath).id,
+    createdAt: entryMap.get(relPath).createdAt,
+    filename: path.basename(relPath),
+    path: relPath,
+    url: `${campaign.urlPrefix}/uploads/${relPath}`,
+    thumbUrl: getThumbUrl(campaign, relPath),
+    submission: toSubmissionPayload(submissions[relPath]),
+  }));
+}
+
+async function listModeration(campaign, status) {
+  const { ordered, entryMap } = await getOrderedImages(campaign);
+  const trashSet = await getTrashSet(campaign);
+  const moderation = await readModeration(campaign);
+  const submissions = await readSubmissions(campaign);
+  const counts = { pending: 0, rejected: 0 };
+  const items = [];
+  ordered
+    .filter((relPath) => !trashSet.has(relPath))
+    .forEach((relPath) => {
+      const itemStatus = getModerationStatus(moderation, relPath);
+      if (itemStatus in counts) {
+        counts[itemStatus] += 1;
+      }
+      if (itemStatus !== status) return;
+      items.push({
+        id: entryMap.get(relPath).id,
+        filename: path.basename(relPath),
+        path: relPath,
+        status: itemStatus,
+        uploadedAt: entryMap.get(relPath).createdAt,
+        url: `${campaign.urlPrefix}/uploads/${relPath}`,
+        thumbUrl: getThumbUrl(campaign, relPath),
+        submission: toSubmissionPayload(submissions[relPath]),
+      });
+    });
+  return { autoApprove: moderation.autoApprove, counts, items };
+}
+
+async function listFolders() {
+  return [];
+}
+
+async function listTrash(campaign) {
+  const list = await readTrashList(campaign);
+  const index = await getUploadIndex(campaign);
+  const items = [];
+
+  for (const entry of list) {
+    if (!entry || !entry.path) continue;
+    const indexed = index.entries.get(entry.uploadId || index.byPath.get(entry.path));
+    if (!indexed) continue;
+    try {
+      const filePath = safeUploadsPath(campaign, indexed.path);
+      await fsp.access(filePath);
+    } catch (err) {
+      continue;
+    }
+    items.push({
+      id: entry.id,
+      uploadId: indexed.id,
+      filename: path.basename(indexed.path),
+      path: indexed.path,
+      trashedAt: entry.trashedAt || null,
+      expiresAt: TRASH_RETENTION_MS && entry.purgeAfter ? entry.purgeAfter : null,
+      url: `${campaign.urlPrefix}/uploads/${indexed.path}`,
+      thumbUrl: getThumbUrl(campaign, indexed.path),
+    });
+  }
+
+  return items;
+}
+
+async function listBatches(campaign) {
+  const items = await listImages(campaign);
+  const batches = chunkArray(items, SLOT_COUNT).map((batchItems, index) => ({
+    index,
+    count: batchItems.length,
+    items: batchItems,
+  }));
+  const selectedIndex = await getSelectedBatchIndex(campaign, batches.length);
+  return {
+    batchSize: SLOT_COUNT,
+    selectedIndex,
+    batches: batches.map((batch) => ({
+      ...batch,
+      isSelected: batch.index === selectedIndex,
+    })),
+  };
+}
+
+function getSlotCellSize() {
+  const cellWidth =
+    (OVERLAY_WIDTH - PADDING_LEFT - PADDING_RIGHT - GAP * (COLUMNS - 1)) / COLUMNS;
+  const cellHeight = (cellWidth * DEFAULT_IMAGE_HEIGHT) / DEFAULT_IMAGE_WIDTH;
+  return { cellWidth, cellHeight };
+}
+
+async function getExportConfig(campaign) {
+  const slotDefs = await readSlotDefinitions(campaign);
+  const { cellWidth, cellHeight } = getSlotCellSize();
+  const slotWidth = slotDefs
+    .filter((slot) => !slot.disabled)
+    .reduce((max, slot) => Math.max(max, isFiniteNumber(slot.w) ? slot.w : cellWidth), 0);
+  const width = slotWidth || cellWidth;
+  return {
+    slotWidth: roundLayoutValue(width),
+    slotHeight: roundLayoutValue(cellHeight),
+    scale: EXPORT_SCALE,
+    outputWidth: roundLayoutValue(width * EXPORT_SCALE),
+    format: EXPORT_FORMAT,
+    quality: EXPORT_QUALITY,
+  };
+}
+
+async function listSlots(campaign) {
+  const slotDefs = await readSlotDefinitions(campaign);
+  const { ordered, entryMap } = await getApprovedImages(campaign);
+
+  const activeSlots = slotDefs.filter(
+    (slot) => !slot.disabled && Number.isFinite(slot.row) && Number.isFinite(slot.col)
+  );
+  if (activeSlots.length < SLOT_COUNT) {
+    throw new Error(`slot.json must have at least ${SLOT_COUNT} enabled slots`);
+  }
+
+  const visibleSlots = activeSlots.slice(0, SLOT_COUNT);
+  const totalBatches = Math.ceil(ordered.length / SLOT_COUNT);
+  const selectedIndex = await getSelectedBatchIndex(campaign, totalBatches);
+  if (selectedIndex === null) {
+    return [];
+  }
+  const start = selectedIndex * SLOT_COUNT;
+  const batchImages = ordered.slice(start, start + SLOT_COUNT);
+
+  if (batchImages.length === 0) {
+    return [];
+  }
+
+  const { cellWidth, cellHeight } = getSlotCellSize();
+  const leftOrigin = OVERLAY_LEFT + PADDING_LEFT;
+
+  const count = Math.min(visibleSlots.length, batchImages.length);
+  const items = await Promise.all(
+    visibleSlots.slice(0, count).map(async (slot, index) => {
+      const relPath = batchImages[index] || null;
+      if (!relPath) {
+        return null;
+      }
+      const filename = path.basename(relPath);
+      const width = isFiniteNumber(slot.w) ? slot.w : cellWidth;
+      let height = isFiniteNumber(slot.h) ? slot.h : cellHeight;
+      try {
+        const size = await getImageSize(path.join(campaign.uploadDir, relPath));
+        height = (width * size.height) / size.width;
+      } catch (err) {
+        // fallback to default aspect ratio
+      }
+
+      const x = isFiniteNumber(slot.x)
+        ? slot.x
+        : leftOrigin + slot.col * (cellWidth + GAP);
+      const y = isFiniteNumber(slot.y)
+        ? slot.y
+        : PADDING_TOP + slot.row * (cellHeight + GAP);
+
+      return {
+        filename,
+        row: slot.row,
+        col: slot.col,
+        x: roundLayoutValue(x),
+        y: roundLayoutValue(y),
+        w: roundLayoutValue(width),
+        h: roundLayoutValue(height),
+        updatedAt: entryMap.get(relPath).createdAt,
+        url: `${campaign.urlPrefix}/uploads/${relPath}`,
+      };
+    })
+  );
+
+  return items.filter(Boolean);
+}
+
+function safeUploadsPath(campaign, urlPath) {
+  const decoded = decodeURIComponent(urlPath);
+  const normalized = path.normalize(decoded).replace(/^(\.\.(\/|\\|$))+/, "");
+  if (path.isAbsolute(normalized)) {
+    throw new Error("Invalid path");
+  }
+  const resolved = path.resolve(campaign.uploadDir, normalized);
+  if (resolved !== campaign.uploadDir && !resolved.startsWith(campaign.uploadDir + path.sep)) {
+    throw new Error("Invalid path");
+  }
+  return resolved;
+}
+
+// Pages are opened under /c/<id>/ so their relative asset links stay inside
+// the campaign, while API calls name it with ?campaign=<id>. The prefix is
+// stripped here so the routes match exactly as for the default campaign; a
+// null pathname means "/c/<id>" without the trailing slash.
+function readCampaignRoute(url) {
+  const match = url.pathname.match(/^\/c\/([^/]+)(\/.*)?$/);
+  if (!match) {
+    return {
+      id: url.searchParams.get("campaign") || DEFAULT_CAMPAIGN.id,
+      pathname: url.pathname,
+    };
+  }
+  return { id: match[1], pathname: match[2] || null };
+}
+
+function safeStickerPath(urlPath) {
+  const filename = path.basename(decodeURIComponent(urlPath));
+  if (!filename || filename.startsWith(".")) {
+    throw new Error("Invalid path");
+  }
+  return path.join(STICKER_DIR, filename);
+}
+
+function safePublicPath(urlPath) {
+  const decoded = decodeURIComponent(urlPath);
+  const normalized = path.normalize(decoded).replace(/^(\.\.(\/|\\|$))+/, "");
+  const relative = normalized.replace(/^[/\\]+/, "");
+  const resolved = path.resolve(PUBLIC_DIR, relative);
+  if (resolved !== PUBLIC_DIR && !resolved.startsWith(PUBLIC_DIR + path.sep)) {
+    throw new Error("Invalid path");
+  }
+  return resolved;
+}
+
+function createUploadError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+async function saveUploadBuffer(campaign, buffer, ext) {
+  const timestamp = formatKstTimestamp(Date.now());
+  const filename = await uniqueFilename(`paint-${timestamp}${ext}`, campaign.uploadDir);
+  await fsp.writeFile(path.join(campaign.uploadDir, filename), buffer);
+  return filename;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function readPngChunks(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw createUploadError("EBADUPLOAD", "Not a PNG file");
+  }
+  const chunks = [];
+  let offset = 8;
+  while (offset < buffer.length) {
+    if (offset + 12 > buffer.length) {
+      throw createUploadError("EBADUPLOAD", "Truncated PNG chunk");
+    }
+    const length = buffer.readUInt32BE(offset);
+    const end = offset + 12 + length;
+    if (length > 0x7fffffff || end > buffer.length) {
+      throw createUploadError("EBADUPLOAD", "Truncated PNG chunk");
+    }
+    const type = buffer.toString("latin1", offset + 4, offset + 8);
+    if (!/^[A-Za-z]{4}$/.test(type)) {
+      throw createUploadError("EBADUPLOAD", "Invalid PNG chunk type");
+    }
+    const crc = buffer.readUInt32BE(end - 4);
+    if (crc32(buffer.subarray(offset + 4, end - 4)) !== crc) {
+      throw createUploadError("EBADUPLOAD", `CRC mismatch in ${type} chunk`);
+    }
+    chunks.push({ type, data: buffer.subarray(offset + 8, end - 4), raw: buffer.subarray(offset, end) });
+    offset = end;
+    if (type === "IEND") break;
+  }
+  if (offset !== buffer.length) {
+    throw createUploadError("EBADUPLOAD", "Unexpected data after IEND");
+  }
+  return chunks;
+}
+
+function readPngHeader(chunk) {
+  if (!chunk || chunk.type !== "IHDR" || chunk.data.length !== 13) {
+    throw createUploadError("EBADUPLOAD", "Missing IHDR chunk");
+  }
+  const header = {
+    width: chunk.data.readUInt32BE(0),
+    height: chunk.data.readUInt32BE(4),
+    bitDepth: chunk.data[8],
+    colorType: chunk.data[9],
+    compression: chunk.data[10],
+    filter: chunk.data[11],
+    interlace: chunk.data[12],
+  };
+  const colorType = PNG_COLOR_TYPES[header.colorType];
+  if (
+    !colorType ||
+    !colorType.depths.includes(header.bitDepth) ||
+    header.compression !== 0 ||
+    header.filter !== 0 ||
+    header.interlace > 1
+  ) {
+    throw createUploadError("EBADUPLOAD", "Invalid IHDR chunk");
+  }
+  if (header.width === 0 || header.height === 0) {
+    throw createUploadError("EBADUPLOAD", "Invalid image size");
+  }
+  return header;
+}
+
+// `bounds` is { minWidth, maxWidth, minHeight, maxHeight } in pixels.
+function validateImageSize({ width, height }, bounds) {
+  if (
+    width < bounds.minWidth ||
+    width > bounds.maxWidth ||
+    height < bounds.minHeight ||
+    height > bounds.maxHeight
+  ) {
+    throw createUploadError(
+      "EREJECTED",
+      `Image is ${width}x${height}; expected ${bounds.minWidth}-${bounds.maxWidth} wide ` +
+        `and ${bounds.minHeight}-${bounds.maxHeight} high`
+    );
+  }
+}
+
+function getStickerImageBounds() {
+  return {
+    minWidth: 1,
+    maxWidth: MAX_STICKER_DIMENSION,
+    minHeight: 1,
+    maxHeight: MAX_STICKER_DIMENSION,
+  };
+}
+
+// Drawings must match the size the paint page exports for this campaign.
+async function getDrawingImageBounds(campaign) {
+  const { outputWidth } = await getExportConfig(campaign);
+  const width = Math.min(Math.round(outputWidth), MAX_EXPORT_WIDTH);
+  const height = Math.round((PAINT_CANVAS_HEIGHT * width) / PAINT_CANVAS_WIDTH);
+  return {
+    minWidth: width - IMAGE_SIZE_TOLERANCE,
+    maxWidth: width + IMAGE_SIZE_TOLERANCE,
+    minHeight: height - IMAGE_SIZE_TOLERANCE,
+    maxHeight: height + IMAGE_SIZE_TOLERANCE,
+  };
+}
+
+// Paint pages cached from before the export config still post the bare
+// canvas, 800x670, on the dataUrl route. Accept anything from that size up to
+// the exported size there.
+async function getLegacyDrawingImageBounds(campaign) {
+  const bounds = await getDrawingImageBounds(campaign);
+  return {
+    minWidth: Math.min(bounds.minWidth, PAINT_CANVAS_WIDTH - IMAGE_SIZE_TOLERANCE),
+    maxWidth: Math.max(bounds.maxWidth, PAINT_CANVAS_WIDTH + IMAGE_SIZE_TOLERANCE),
+    minHeight: Math.min(bounds.minHeight, PAINT_CANVAS_HEIGHT - IMAGE_SIZE_TOLERANCE),
+    maxHeight: Math.max(bounds.maxHeight, PAINT_CANVAS_HEIGHT + IMAGE_SIZE_TOLERANCE),
+  };
+}
+
+// Size of the filtered scanlines the IDAT stream must inflate to, including
+// the seven reduced images of an interlaced PNG.
+function getPngDataLength({ width, height, bitDepth, colorType, interlace }) {
+  const bitsPerPixel = bitDepth * PNG_COLOR_TYPES[colorType].channels;
+  const rowLength = (w) => (w > 0 ? 1 + Math.ceil((w * bitsPerPixel) / 8) : 0);
+  if (!interlace) {
+    return height * rowLength(width);
+  }
+  return PNG_ADAM7_PASSES.reduce((total, [x0, y0, dx, dy]) => {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    return passWidth > 0 && passHeight > 0 ? total + passHeight * rowLength(passWidth) : total;
+  }, 0);
+}
+
+// Walks every chunk, checks CRCs, chunk order, IHDR limits and that the image
+// data inflates to exactly the expected size, then rebuilds the file with only
+// the chunks needed to draw it.
+function sanitizePng(buffer, bounds) {
+  const chunks = readPngChunks(buffer);
+  const header = readPngHeader(chunks[0]);
+  validateImageSize(header, bounds);
+
+  if (chunks[chunks.length - 1].type !== "IEND") {
+    throw createUploadError("EBADUPLOAD", "Missing IEND chunk");
+  }
+  if (chunks.some((chunk) => PNG_ANIMATION_CHUNKS.includes(chunk.type))) {
+    throw createUploadError("EREJECTED", "Animated PNG is not allowed");
+  }
+
+  const kept = [];
+  const idat = [];
+  let idatEnded = false;
+  chunks.slice(1, -1).forEach((chunk) => {
+    if (chunk.type === "IHDR" || chunk.type === "IEND") {
+      throw createUploadError("EBADUPLOAD", `Duplicate ${chunk.type} chunk`);
+    }
+    if (chunk.type === "IDAT") {
+      if (idatEnded) {
+        throw createUploadError("EBADUPLOAD", "IDAT chunks must be consecutive");
+      }
+      idat.push(chunk.data);
+      kept.push(chunk);
+      return;
+    }
+    if (idat.length > 0) {
+      idatEnded = true;
+    }
+    if (chunk.type === "PLTE" || PNG_KEPT_CHUNKS.includes(chunk.type)) {
+      kept.push(chunk);
+      return;
+    }
+    // A lowercase first letter marks an ancillary chunk that decoders may skip.
+    if (chunk.type[0] === chunk.type[0].toUpperCase()) {
+      throw createUploadError("EBADUPLOAD", `Unknown critical chunk ${chunk.type}`);
+    }
+  });
+
+  if (idat.length === 0) {
+    throw createUploadError("EBADUPLOAD", "Missing image data");
+  }
+  if (header.colorType === 3 && !kept.some((chunk) => chunk.type === "PLTE")) {
+    throw createUploadError("EBADUPLOAD", "Missing palette");
+  }
+
+  const expected = getPngDataLength(header);
+  let inflated;
+  try {
+    inflated = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: expected + 1 });
+  } catch (err) {
+    throw createUploadError("EBADUPLOAD", "Corrupted image data");
+  }
+  if (inflated.length !== expected) {
+    throw createUploadError("EBADUPLOAD", "Corrupted image data");
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunks[0].raw,
+    ...kept.map((chunk) => chunk.raw),
+    chunks[chunks.length - 1].raw,
+  ]);
+}
+
+// Rebuilds a JPEG without the APPn and COM segments that hold EXIF, XMP and
+// comments, and without anything after EOI. Entropy-coded data after each SOS
+// is copied as is up to the next marker.
+function stripJpegMetadata(buffer) {
+  const parts = [buffer.subarray(0, 2)];
+  let offset = 2;
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff || offset + 1 >= buffer.length) {
+      throw createUploadError("EBADUPLOAD", "Invalid JPEG");
+    }
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0xd9) {
+      parts.push(buffer.subarray(offset, offset + 2));
+      return Buffer.concat(parts);
+    }
+    if (offset + 4 > buffer.length) {
+      throw createUploadError("EBADUPLOAD", "Invalid JPEG");
+    }
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length || end < offset + 4) {
+      throw createUploadError("EBADUPLOAD", "Invalid JPEG");
+    }
+    const isApp = marker >= 0xe0 && marker <= 0xef;
+    const keep = isApp
+      ? JPEG_KEPT_APP_SEGMENTS.some(
+          ([keptMarker, id]) =>
+            marker === keptMarker && buffer.toString("latin1", offset + 4, offset + 4 + id.length) === id
+        )
+      : marker !== 0xfe;
+    if (keep) {
+      parts.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+    if (marker === 0xda) {
+      // Scan data runs until a marker other than a stuffed 0xff00 or RSTn.
+      let scanEnd = offset;
+      while (scanEnd + 1 < buffer.length) {
+        const next = buffer[scanEnd + 1];
+        if (buffer[scanEnd] === 0xff && next !== 0x00 && !(next >= 0xd0 && next <= 0xd7)) {
+          break;
+        }
+        scanEnd += 1;
+      }
+      parts.push(buffer.subarray(offset, scanEnd));
+      offset = scanEnd;
+    }
+  }
+  throw createUploadError("EBADUPLOAD", "Missing JPEG end marker");
+}
+
+// Rebuilds a WebP with only the chunks needed to draw it, which drops EXIF
+// and XMP, and clears their VP8X flags to match.
+function stripWebpMetadata(buffer) {
+  const end = 8 + buffer.readUInt32LE(4);
+  if (end > buffer.length) {
+    throw createUploadError("EBADUPLOAD", "Invalid WebP");
+  }
+  const chunks = [];
+  let offset = 12;
+  while (offset < end) {
+    if (offset + 8 > end) {
+      throw createUploadError("EBADUPLOAD", "Invalid WebP");
+    }
+    const type = buffer.toString("latin1", offset, offset + 4);
+    const length = buffer.readUInt32LE(offset + 4);
+    const next = offset + 8 + length + (length % 2);
+    if (next > end) {
+      throw createUploadError("EBADUPLOAD", "Invalid WebP");
+    }
+    if (WEBP_KEPT_CHUNKS.includes(type)) {
+      let raw = buffer.subarray(offset, next);
+      if (type === "VP8X" && length > 0) {
+        raw = Buffer.from(raw);
+        raw[8] &= ~(WEBP_VP8X_EXIF_FLAG | WEBP_VP8X_XMP_FLAG);
+      }
+      chunks.push(raw);
+    }
+    offset = next;
+  }
+  const body = Buffer.concat([buffer.subarray(8, 12), ...chunks]);
+  const header = Buffer.from("RIFF\0\0\0\0", "latin1");
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+// PNG gets the full check and is rewritten without metadata. JPEG and WebP
+// have their dimensions checked and their metadata removed.
+function sanitizeUploadImage(buffer, format, bounds) {
+  if (format === "png") {
+    return sanitizePng(buffer, bounds);
+  }
+  const size = format === "jpeg" ? readJpegSize(buffer) : readWebpSize(buffer);
+  if (!size || size.width === 0 || size.height === 0) {
+    throw createUploadError("EBADUPLOAD", "Invalid image size");
+  }
+  validateImageSize(size, bounds);
+  return format === "jpeg" ? stripJpegMetadata(buffer) : stripWebpMetadata(buffer);
+}
+
+function unfilterPngRow(filter, row, previous, bytesPerPixel) {
+  switch (filter) {
+    case 0:
+      return;
+    case 1:
+      for (let i = bytesPerPixel; i < row.length; i += 1) {
+        row[i] += row[i - bytesPerPixel];
+      }
+      return;
+    case 2:
+      for (let i = 0; i < row.length; i += 1) {
+        row[i] += previous[i];
+      }
+      return;
+    case 3:
+      for (let i = 0; i < row.length; i += 1) {
+        const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+        row[i] += (left + previous[i]) >> 1;
+      }
+      return;
+    case 4:
+      for (let i = 0; i < row.length; i += 1) {
+        const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+        const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+        const up = previous[i];
+        const estimate = left + up - upLeft;
+        const distLeft = Math.abs(estimate - left);
+        const distUp = Math.abs(estimate - up);
+        const distUpLeft = Math.abs(estimate - upLeft);
+        if (distLeft <= distUp && distLeft <= distUpLeft) {
+          row[i] += left;
+        } else if (distUp <= distUpLeft) {
+          row[i] += up;
+        } else {
+          row[i] += upLeft;
+        }
+      }
+      return;
+    default:
+      throw createUploadError("EBADUPLOAD", "Invalid PNG filter");
+  }
+}
+
+function readPngSample(row, index, bitDepth) {
+  if (bitDepth === 8) return row[index];
+  if (bitDepth === 16) return (row[index * 2] << 8) | row[index * 2 + 1];
+  const bit = index * bitDepth;
+  return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1);
+}
+
+// Returns a function that writes pixel `x` of an unfiltered row as 8-bit RGBA.
+// tRNS gives palette alphas, or the one gray/RGB value that is transparent.
+function createPngPixelWriter({ bitDepth, colorType }, palette, transparency) {
+  const channels = PNG_COLOR_TYPES[colorType].channels;
+  const max = (1 << bitDepth) - 1;
+  const to8 = (value) => (bitDepth === 16 ? value >> 8 : Math.round((value * 255) / max));
+  const key =
+    transparency && (colorType === 0 || colorType === 2)
+      ? Array.from({ length: transparency.length >> 1 }, (_, i) => transparency.readUInt16BE(i * 2))
+      : null;
+
+  return (pixels, offset, row, x) => {
+    const base = x * channels;
+    if (colorType === 3) {
+      const index = readPngSample(row, base, bitDepth);
+      const entry = index * 3;
+      pixels[offset] = palette[entry] || 0;
+      pixels[offset + 1] = palette[entry + 1] || 0;
+      pixels[offset + 2] = palette[entry + 2] || 0;
+      pixels[offset + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+      return;
+    }
+    if (colorType === 0 || colorType === 4) {
+      const gray = readPngSample(row, base, bitDepth);
+      pixels[offset] = pixels[offset + 1] = pixels[offset + 2] = to8(gray);
+      if (colorType === 4) {
+        pixels[offset + 3] = to8(readPngSample(row, base + 1, bitDepth));
+      } else {
+        pixels[offset + 3] = key && gray === key[0] ? 0 : 255;
+      }
+      return;
+    }
+    const red = readPngSample(row, base, bitDepth);
+    const green = readPngSample(row, base + 1, bitDepth);
+    const blue = readPngSample(row, base + 2, bitDepth);
+    pixels[offset] = to8(red);
+    pixels[offset + 1] = to8(green);
+    pixels[offset + 2] = to8(blue);
+    if (colorType === 6) {
+      pixels[offset + 3] = to8(readPngSample(row, base + 3, bitDepth));
+    } else {
+      pixels[offset + 3] = key && red === key[0] && green === key[1] && blue === key[2] ? 0 : 255;
+    }
+  };
+}
+
+// Decodes a PNG into 8-bit RGBA pixels. Only thumbnails use this, and only on
+// files that already passed sanitizePng, so it covers every color type, bit
+// depth and interlacing but none of the color-space chunks.
+function decodePng(buffer) {
+  const chunks = readPngChunks(buffer);
+  const header = readPngHeader(chunks[0]);
+  const { width, height, bitDepth, colorType } = header;
+  const palette = chunks.find((chunk) => chunk.type === "PLTE")?.data || null;
+  const transparency = chunks.find((chunk) => chunk.type === "tRNS")?.data || null;
+  const expected = getPngDataLength(header);
+  const data = zlib.inflateSync(
+    Buffer.concat(chunks.filter((chunk) => chunk.type === "IDAT").map((chunk) => chunk.data)),
+    { maxOutputLength: expected + 1 }
+  );
+  if (data.length !== expected) {
+    throw createUploadError("EBADUPLOAD", "Corrupted image data");
+  }
+
+  const bitsPerPixel = bitDepth * PNG_COLOR_TYPES[colorType].channels;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const writePixel = createPngPixelWriter(header, palette, transparency);
+  const pixels = new Uint8Array(width * height * 4);
+  const passes = header.interlace ? PNG_ADAM7_PASSES : [[0, 0, 1, 1]];
+  let offset = 0;
+  passes.forEach(([x0, y0, dx, dy]) => {
+    const passWidth = Math.ceil((width - x0) / dx);
+    const passHeight = Math.ceil((height - y0) / dy);
+    if (passWidth <= 0 || passHeight <= 0) return;
+    const rowLength = Math.ceil((passWidth * bitsPerPixel) / 8);
+    let previous = new Uint8Array(rowLength);
+    for (let y = 0; y < passHeight; y += 1) {
+      const row = data.subarray(offset + 1, offset + 1 + rowLength);
+      unfilterPngRow(data[offset], row, previous, bytesPerPixel);
+      const rowStart = (y0 + y * dy) * width;
+      for (let x = 0; x < passWidth; x += 1) {
+        writePixel(pixels, (rowStart + x0 + x * dx) * 4, row, x);
+      }
+      previous = row;
+      offset += 1 + rowLength;
+    }
+  });
+  return { width, height, pixels };
+}
+
+// Box filter: every source pixel is averaged into exactly one target pixel.
+// Colors are weighted by alpha so transparent areas don't darken the edges.
+function downscaleRgba({ width, height, pixels }, targetWidth, targetHeight) {
+  const sums = new Float64Array(targetWidth * targetHeight * 4);
+  const counts = new Uint32Array(targetWidth * targetHeight);
+  const columns = Uint32Array.from({ length: width }, (_, x) =>
+    Math.floor((x * targetWidth) / width)
+  );
+  for (let y = 0; y < height; y += 1) {
+    const targetRow = Math.floor((y * targetHeight) / height) * targetWidth;
+    for (let x = 0; x < width; x += 1) {
+      const source = (y * width + x) * 4;
+      const target = targetRow + columns[x];
+      const alpha = pixels[source + 3];
+      sums[target * 4] += pixels[source] * alpha;
+      sums[target * 4 + 1] += pixels[source + 1] * alpha;
+      sums[target * 4 + 2] += pixels[source + 2] * alpha;
+      sums[target * 4 + 3] += alpha;
+      counts[target] += 1;
+    }
+  }
+
+  const result = new Uint8Array(targetWidth * targetHeight * 4);
+  for (let i = 0; i < counts.length; i += 1) {
+    const alpha = sums[i * 4 + 3];
+    if (alpha > 0) {
+      result[i * 4] = Math.round(sums[i * 4] / alpha);
+      result[i * 4 + 1] = Math.round(sums[i * 4 + 1] / alpha);
+      result[i * 4 + 2] = Math.round(sums[i * 4 + 2] / alpha);
+    }
+    result[i * 4 + 3] = counts[i] > 0 ? Math.round(alpha / counts[i]) : 0;
+  }
+  return { width: targetWidth, height: targetHeight, pixels: result };
+}
+
+function createPngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, "latin1");
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+// Writes 8-bit RGBA with the Sub filter on every row, which is enough for
+// small thumbnails of flat-colored drawings.
+function encodePng({ width, height, pixels }) {
+  const rowLength = width * 4;
+  const raw = Buffer.alloc(height * (rowLength + 1));
+  for (let y = 0; y < height; y += 1) {
+    const start = y * (rowLength + 1);
+    const source = y * rowLength;
+    raw[start] = 1;
+    for (let i = 0; i < rowLength; i += 1) {
+      raw[start + 1 + i] = pixels[source + i] - (i >= 4 ? pixels[source + i - 4] : 0);
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createPngChunk("IHDR", header),
+    createPngChunk("IDAT", zlib.deflateSync(raw)),
+    createPngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+function createThumbnail(buffer) {
+  const image = decodePng(buffer);
+  if (image.width <= THUMB_WIDTH) {
+    return buffer;
+  }
+  const height = Math.max(1, Math.round((image.height * THUMB_WIDTH) / image.width));
+  return encodePng(downscaleRgba(image, THUMB_WIDTH, height));
+}
+
+function isThumbnailSupported(relPath) {
+  return path.extname(relPath).toLowerCase() === ".png";
+}
+
+function getThumbUrl(campaign, relPath) {
+  const folder = isThumbnailSupported(relPath) ? "thumbs" : "uploads";
+  return `${campaign.urlPrefix}/${folder}/${relPath}`;
+}
+
+// Decoding and encoding take a few hundred milliseconds for a large PNG, so
+// they run on a worker thread instead of holding up every other request. The
+// worker loads this same file and handles one image at a time.
+function runThumbnailWorker() {
+  parentPort.on("message", ({ id, sourcePath }) => {
+    try {
+      parentPort.postMessage({ id, thumbnail: createThumbnail(fs.readFileSync(sourcePath)) });
+    } catch (err) {
+      parentPort.postMessage({ id, error: err.message, code: err.code });
+    }
+  });
+}
+
+function getThumbnailWorker() {
+  if (thumbnailWorker) return thumbnailWorker;
+  const worker = new Worker(__filename);
+  worker.on("message", ({ id, thumbnail, error, code }) => {
+    const job = thumbnailJobs.get(id);
+    if (!job) return;
+    thumbnailJobs.delete(id);
+    if (thumbnail) {
+      job.resolve(Buffer.from(thumbnail.buffer, thumbnail.byteOffset, thumbnail.byteLength));
+    } else {
+      job.reject(Object.assign(new Error(error || "Thumbnail failed"), { code }));
+    }
+  });
+  worker.on("error", (err) => {
+    console.warn(`Thumbnail worker failed: ${err.message}`);
+  });
+  // A crash (e.g. out of memory on a huge image) fails the jobs it held; the
+  // next thumbnail starts a fresh worker.
+  worker.on("exit", () => {
+    if (thumbnailWorker === worker) {
+      thumbnailWorker = null;
+    }
+    thumbnailJobs.forEach(({ reject }) => reject(new Error("Thumbnail worker stopped")));
+    thumbnailJobs.clear();
+  });
+  worker.unref();
+  thumbnailWorker = worker;
+  return worker;
+}
+
+function createThumbnailInWorker(sourcePath) {
+  const id = nextThumbnailJobId;
+  nextThumbnailJobId += 1;
+  return new Promise((resolve, reject) => {
+    thumbnailJobs.set(id, { resolve, reject });
+    getThumbnailWorker().postMessage({ id, sourcePath });
+  });
+}
+
+async function writeThumbnail(campaign, relPath, thumbPath) {
+  const thumbnail = await createThumbnailInWorker(path.join(campaign.uploadDir, relPath));
+  await fsp.mkdir(path.dirname(thumbPath), { recursive: true });
+  const tempPath = `${thumbPath}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    await fsp.writeFile(tempPath, thumbnail);
+    await fsp.rename(tempPath, thumbPath);
+  } catch (err) {
+    await fsp.rm(tempPath, { force: true });
+    throw err;
+  }
+}
+
+// Thumbnails are written right after an upload and, for files from before
+// they existed (or a thumbnail that is missing or older than its image), on
+// first request. Only PNG is decoded here, so other formats resolve to null
+// and are shown full size, as does a missing thumbnail when `canGenerate`
+// says no. Concurrent requests for one file share a single generation.
+async function ensureThumbnail(campaign, relPath, canGenerate = () => true) {
+  if (!isThumbnailSupported(relPath)) return null;
+  const thumbPath = path.join(campaign.thumbDir, relPath);
+  const sourceStat = await fsp.stat(path.join(campaign.uploadDir, relPath));
+  try {
+    const thumbStat = await fsp.stat(thumbPath);
+    if (thumbStat.mtimeMs >= sourceStat.mtimeMs) {
+      return thumbPath;
+    }
+  } catch (err) {
+    // missing; written below
+  }
+  if (!thumbsInFlight.has(thumbPath)) {
+    if (!canGenerate()) return null;
+    const task = writeThumbnail(campaign, relPath, thumbPath).finally(() => {
+      thumbsInFlight.delete(thumbPath);
+    });
+    thumbsInFlight.set(thumbPath, task);
+  }
+  await thumbsInFlight.get(thumbPath);
+  return thumbPath;
+}
+
+// An upload can be rejected before its body is fully read; the connection is
+// then closed once the response is out instead of draining the rest.
+function sendUploadError(req, res, status, message) {
+  const headers = { "Content-Type": "text/plain; charset=utf-8" };
+  if (!req.complete) {
+    headers.Connection = "close";
+    res.on("finish", () => req.destroy());
+  }
+  send(res, status, message, headers);
+}
+
+function sendUploadFailure(req, res, err) {
+  if (err.code === "ETOOLARGE") {
+    sendUploadError(req, res, 413, "Payload too large");
+  } else if (err.code === "EBADUPLOAD") {
+    sendUploadError(req, res, 400, err.message);
+  } else if (err.code === "EUNSUPPORTED") {
+    sendUploadError(req, res, 415, err.message);
+  } else if (err.code === "EREJECTED") {
+    sendUploadError(req, res, 422, err.message);
+  } else if (err.code !== "EABORTED") {
+    send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+  }
+}
+
+function sendUploadResult(res, campaign, filename) {
+  const payload = JSON.stringify({
+    filename,
+    path: filename,
+    url: `${campaign.urlPrefix}/uploads/${filename}`,
+  });
+  send(res, 200, payload, { "Content-Type": "application/json; charset=utf-8" });
+}
+
+// Legacy route: JSON body with a base64 data URL. Kept for older paint pages
+// that are still open on kiosks.
+async function receiveDataUrlUpload(req, campaign) {
+  const body = await new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        req.pause();
+        reject(createUploadError("ETOOLARGE", "Payload too large"));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+
+  let dataUrl;
+  let submission;
+  try {
+    ({ dataUrl, submission } = JSON.parse(body || "{}"));
+  } catch (err) {
+    throw createUploadError("EBADUPLOAD", "Invalid JSON");
+  }
+  if (!dataUrl || typeof dataUrl !== "string") {
+    throw createUploadError("EBADUPLOAD", "Missing dataUrl");
+  }
+  const image = parseImageDataUrl(dataUrl);
+  if (!image) {
+    throw createUploadError("EBADUPLOAD", "Invalid image format");
+  }
+  const filename = await saveUploadBuffer(
+    campaign,
+    sanitizeUploadImage(image.buffer, image.format, await getLegacyDrawingImageBounds(campaign)),
+    image.ext
+  );
+  return { filename, submission: normalizeSubmission(submission) };
+}
+
+function detectImageFormat(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return "png";
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "jpeg";
+  }
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "webp";
+  }
+  return null;
+}
+
+function createByteLimit(limit) {
+  let size = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > limit) {
+        callback(createUploadError("ETOOLARGE", "Payload too large"));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+function getMultipartBoundary(contentType) {
+  const match = String(contentType || "").match(/boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  return match ? match[1] || match[2] : null;
+}
+
+function parsePartHeaders(raw) {
+  const headers = {};
+  raw.split("\r\n").forEach((line) => {
+    const index = line.indexOf(":");
+    if (index <= 0) return;
+    headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  });
+  return headers;
+}
+
+function getDispositionParam(disposition, key) {
+  const match = String(disposition || "").match(new RegExp(`;\\s*${key}="([^"]*)"`, "i"));
+  return match ? match[1] : null;
+}
+
+// Streams the first file part of a multipart/form-data body. Small text parts
+// are collected into `fields`; anything else is dropped. Only the tail that
+// could still hold a boundary is kept in memory.
+function createMultipartFileStream(boundary, fields = {}) {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  const headerEnd = Buffer.from("\r\n\r\n");
+  // The first boundary has no leading CRLF; prefixing one lets a single
+  // delimiter search cover every boundary.
+  let buffer = Buffer.from("\r\n");
+  let state = "preamble";
+  let capturing = false;
+  let fileFound = false;
+  let fileDone = false;
+  let fieldName = null;
+  let fieldChunks = [];
+  let fieldSize = 0;
+
+  function collectField(data) {
+    fieldSize += data.length;
+    if (fieldSize > MAX_FIELD_SIZE) {
+      throw createUploadError("EBADUPLOAD", `Field ${fieldName} is too large`);
+    }
+    fieldChunks.push(Buffer.from(data));
+  }
+
+  function parse(push) {
+    while (true) {
+      if (state === "preamble") {
+        const index = buffer.indexOf(delimiter);
+        if (index === -1) {
+          buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length + 1));
+          return;
+        }
+        buffer = buffer.subarray(index + delimiter.length);
+        state = "delimiter";
+      }
+
+      if (state === "delimiter") {
+        if (buffer.length < 2) return;
+        if (buffer.toString("ascii", 0, 2) === "--") {
+          state = "done";
+          return;
+        }
+        const lineEnd = buffer.indexOf("\r\n");
+        if (lineEnd === -1) return;
+        buffer = buffer.subarray(lineEnd + 2);
+        state = "headers";
+      }
+
+      if (state === "headers") {
+        const index = buffer.indexOf(headerEnd);
+        if (index === -1) {
+          if (buffer.length > MAX_PART_HEADER_SIZE) {
+            throw createUploadError("EBADUPLOAD", "Invalid multipart body");
+          }
+          return;
+        }
+        const headers = parsePartHeaders(buffer.toString("utf8", 0, index));
+        const disposition = headers["content-disposition"];
+        buffer = buffer.subarray(index + headerEnd.length);
+        const isFile = getDispositionParam(disposition, "filename") !== null;
+        capturing = !fileFound && isFile;
+        fileFound = fileFound || capturing;
+        fieldName = isFile ? null : getDispositionParam(disposition, "name");
+        fieldChunks = [];
+        fieldSize = 0;
+        state = "body";
+      }
+
+      if (state === "body") {
+        const index = buffer.indexOf(delimiter);
+        if (index === -1) {
+          const safeLength = Math.max(0, buffer.length - delimiter.length + 1);
+          if (capturing && safeLength > 0) {
+            push(buffer.subarray(0, safeLength));
+          } else if (fieldName && safeLength > 0) {
+            collectField(buffer.subarray(0, safeLength));
+          }
+          buffer = buffer.subarray(safeLength);
+          return;
+        }
+        if (capturing) {
+          push(buffer.subarray(0, index));
+          fileDone = true;
+          capturing = false;
+        } else if (fieldName) {
+          collectField(buffer.subarray(0, index));
+          fields[fieldName] = Buffer.concat(fieldChunks).toString("utf8");
+          fieldName = null;
+        }
+        buffer = buffer.subarray(index + delimiter.length);
+        state = "delimiter";
+      }
+
+      if (state === "done") return;
+    }
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (state === "done") {
+        callback();
+        return;
+      }
+      buffer = Buffer.concat([buffer, chunk]);
+      try {
+        parse((data) => this.push(data));
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+    flush(callback) {
+      if (!fileFound) {
+        callback(createUploadError("EBADUPLOAD", "Missing file"));
+        return;
+      }
+      if (!fileDone) {
+        callback(createUploadError("EBADUPLOAD", "Incomplete multipart body"));
+        return;
+      }
+      callback();
+    },
+  });
+}
+
+// Binary route: a raw image body or a multipart/form-data file field. The body
+// is streamed to a temp file in the campaign's upload folder and renamed into
+// place only after it is complete, so a dropped connection never leaves a
+// partial image behind.
+async function receiveStreamUpload(req, campaign) {
+  const contentType = String(req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  const streams = [createByteLimit(MAX_BODY_SIZE)];
+  const fields = {};
+  if (contentType === "multipart/form-data") {
+    const boundary = getMultipartBoundary(req.headers["content-type"]);
+    if (!boundary) {
+      throw createUploadError("EBADUPLOAD", "Missing boundary");
+    }
+    streams.push(createMultipartFileStream(boundary, fields));
+  } else if (!UPLOAD_CONTENT_TYPES.includes(contentType)) {
+    throw createUploadError("EUNSUPPORTED", "Unsupported content type");
+  }
+
+  const declaredLength = Number(req.headers["content-length"]);
+  if (Number.isFinite(declaredLength) && declaredLength > MAX_BODY_SIZE) {
+    throw createUploadError("ETOOLARGE", "Payload too large");
+  }
+
+  await ensureUploadDir(campaign);
+  const tempPath = path.join(
+    campaign.uploadDir,
+    `.upload-${crypto.randomBytes(8).toString("hex")}.tmp`
+  );
+  // The request is piped rather than passed to pipeline() so a failure doesn't
+  // destroy the socket before the error response is written.
+  const [source] = streams;
+  req.on("error", (err) => source.destroy(err));
+  req.on("close", () => {
+    if (!req.complete) {
+      source.destroy(createUploadError("EABORTED", "Upload aborted"));
+    }
+  });
+  req.pipe(source);
+  try {
+    await pipeline(...streams, fs.createWriteStream(tempPath, { flags: "wx" }));
+
+    const buffer = await fsp.readFile(tempPath);
+    const format = detectImageFormat(buffer);
+    if (!format) {
+      throw createUploadError("EBADUPLOAD", "Invalid image format");
+    }
+    const sanitized = sanitizeUploadImage(buffer, format, await getDrawingImageBounds(campaign));
+    if (sanitized !== buffer) {
+      await fsp.writeFile(tempPath, sanitized);
+    }
+    const timestamp = formatKstTimestamp(Date.now());
+    const filename = await uniqueFilename(
+      `paint-${timestamp}${IMAGE_FORMATS[format]}`,
+      campaign.uploadDir
+    );
+    await fsp.rename(tempPath, path.join(campaign.uploadDir, filename));
+    return { filename, submission: normalizeSubmission(fields) };
+  } catch (err) {
+    try {
+      await fsp.unlink(tempPath);
+    } catch (unlinkErr) {
+      // ignore
+    }
+    throw err;
+  }
+}
+
+// A file without a moderation record would count as approved, and one missing
+// from the index would be picked up by the next reconcile, so an upload whose
+// records can't be written is removed again instead of going live later. The
+// index entry is written last: until then the upload is listed nowhere, and a
+// failure only has to roll back the submission and moderation records.
+async function registerSavedUpload(campaign, { filename, submission }) {
+  try {
+    if (submission) {
+      await saveSubmission(campaign, filename, submission);
+    }
+    await registerUpload(campaign, filename);
+    await addUploadToIndex(campaign, filename);
+  } catch (err) {
+    await Promise.allSettled([
+      forgetSubmissions(campaign, [filename]),
+      forgetModeration(campaign, [filename]),
+      fsp.unlink(path.join(campaign.uploadDir, filename)),
+    ]);
+    throw err;
+  }
+  ensureThumbnail(campaign, filename).catch(() => {
+    // the thumbnail route tries again on first request
+  });
+  return filename;
+}
+
+function readIdempotencyKey(req) {
+  const key = String(req.headers["idempotency-key"] || "").trim();
+  return /^[A-Za-z0-9_-]{8,128}$/.test(key) ? key : null;
+}
+
+// With an Idempotency-Key, a retry of an upload the server already finished
+// (or is still receiving) gets the first result instead of saving a copy. The
+// key is looked up and remembered inside the in-flight promise, which
+// handleUpload registers before its first await, so concurrent requests with
+// one key always share a single save.
+async function storeUpload(req, campaign, receive, key) {
+  if (key) {
+    const known = (await readUploadKeys(campaign))[key];
+    if (known?.filename) {
+      req.resume();
+      return known.filename;
+    }
+  }
+  const saved = await receive(req, campaign);
+  const filename = await registerSavedUpload(campaign, saved);
+  if (key) {
+    try {
+      await rememberUploadKey(campaign, key, filename);
+    } catch (err) {
+      // the drawing is saved; only duplicate protection is lost
+    }
+  }
+  return filename;
+}
+
+async function handleUpload(req, res, campaign, receive) {
+  const key = readIdempotencyKey(req);
+  const flightKey = `${campaign.id}:${key}`;
+  try {
+    // Another request with this key is running; wait for its answer. If it
+    // fails, this request carries its own copy and tries again.
+    while (key && uploadsInFlight.has(flightKey)) {
+      try {
+        const filename = await uploadsInFlight.get(flightKey);
+        req.resume();
+        sendUploadResult(res, campaign, filename);
+        return;
+      } catch (err) {
+        // the first attempt failed
+      }
+    }
+
+    const upload = storeUpload(req, campaign, receive, key);
+    if (key) {
+      uploadsInFlight.set(flightKey, upload);
+    }
+    let filename;
+    try {
+      filename = await upload;
+    } finally {
+      if (key && uploadsInFlight.get(flightKey) === upload) {
+        uploadsInFlight.delete(flightKey);
+      }
+    }
+    sendUploadResult(res, campaign, filename);
+  } catch (err) {
+    sendUploadFailure(req, res, err);
+  }
+}
+
+async function readJsonBody(req) {
+  return await new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error("Payload too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body || "{}"));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+}
+
+async function handleDelete(req, res, url, campaign) {
+  let target = url.searchParams.get("path") || url.searchParams.get("filename");
+  if (!target && req.method === "POST") {
+    try {
+      const body = await readJsonBody(req);
+      target = body.path || body.filename;
+    } catch (err) {
+      send(res, 400, "Invalid JSON body", { "Content-Type": "text/plain; charset=utf-8" });
+      return;
+    }
+  }
+
+  if (!target) {
+    send(res, 400, "Missing path", { "Content-Type": "text/plain; charset=utf-8" });
+    return;
+  }
+
+  try {
+    const entry = await markAsTrashed(campaign, target);
+    send(res, 200, JSON.stringify({ path: entry.path }), {
+      "Content-Type": "application/json; charset=utf-8",
+    });
+  } catch (err) {
+    if (err.message === "Invalid path") {
+      send(res, 400, "Invalid path", { "Content-Type": "text/plain; charset=utf-8" });
+      return;
+    }
+    if (err.code === "ENOENT") {
+      send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
+      return;
+    }
+    send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+  }
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const campaignRoute = readCampaignRoute(url);
+  if (campaignRoute.pathname === null) {
+    send(res, 301, "", { Location: `${url.pathname}/${url.search}` });
+    return;
+  }
+  url.pathname = campaignRoute.pathname;
+
+  if (!checkRateLimit(req, res, url.pathname)) return;
+
+  let campaign;
+  try {
+    campaign = await getCampaign(campaignRoute.id);
+  } catch (err) {
+    send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    return;
+  }
+  if (!campaign) {
+    send(res, 404, "Unknown campaign", { "Content-Type": "text/plain; charset=utf-8" });
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/list") {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const items = await listImages(campaign);
+      send(res, 200, JSON.stringify(items), { "Content-Type": "application/json; charset=utf-8" });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/folders") {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const folders = await listFolders();
+      send(res, 200, JSON.stringify(folders), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/trash") {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const items = await listTrash(campaign);
+      send(res, 200, JSON.stringify(items), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/index/reconcile") {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const result = await reconcileUploadIndex(campaign);
+      send(res, 200, JSON.stringify(result), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/moderation") {
+    if (!requireAdmin(req, res)) return;
+    const status = url.searchParams.get("status") || "pending";
+    if (!MODERATION_STATUSES.includes(status)) {
+      send(res, 400, "Invalid status", { "Content-Type": "text/plain; charset=utf-8" });
+      return;
+    }
+    try {
+      const payload = await listModeration(campaign, status);
+      send(res, 200, JSON.stringify(payload), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/moderation") {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const body = await readJsonBody(req);
+      const paths = Array.isArray(body?.paths) ? body.paths : [];
+      if (!MODERATION_STATUSES.includes(body?.status) || paths.length === 0) {
+        send(res, 400, "Invalid moderation request", {
+          "Content-Type": "text/plain; charset=utf-8",
+        });
+        return;
+      }
+      const normalized = await Promise.all(
+        paths.map(async (relPath) => {
+          const filePath = safeUploadsPath(campaign, String(relPath));
+          await fsp.access(filePath);
+          const normalizedPath = normalizeRelPath(path.relative(campaign.uploadDir, filePath));
+          await ensureUploadIndexed(campaign, normalizedPath);
+          return normalizedPath;
+        })
+      );
+      const count = await setModerationStatus(campaign, normalized, body.status);
+      send(res, 200, JSON.stringify({ ok: true, count }), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      if (err.message === "Invalid path") {
+        send(res, 400, "Invalid path", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+      if (err.code === "ENOENT") {
+        send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/moderation/settings") {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const body = await readJsonBody(req);
+      if (typeof body?.autoApprove !== "boolean") {
+        send(res, 400, "Missing autoApprove", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+      const autoApprove = await setAutoApprove(campaign, body.autoApprove);
+      send(res, 200, JSON.stringify({ autoApprove }), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/batches") {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const payload = await listBatches(campaign);
+      send(res, 200, JSON.stringify(payload), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
 
-async function handleUpload(req, res) {
-  let body = "";
-  req.on("data", (chunk) => {
-    body += chunk;
-    if (body.length > MAX_BODY_SIZE) {
-      send(res, 413, "Payload too large", { "Content-Type": "text/plain; charset=utf-8" });
-      req.destroy();
+  if (req.method === "POST" && url.pathname === "/api/batches/select") {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const body = await readJsonBody(req);
+      const index = Number(body?.index);
+      if (!Number.isFinite(index) || index < 0) {
+        send(res, 400, "Invalid index", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+      await writeSelection(campaign, Math.floor(index));
+      send(res, 200, JSON.stringify({ ok: true }), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
     }
-  });
+    return;
+  }
 
-  req.on("end", async () => {
+  if (req.method === "POST" && url.pathname === "/api/restore") {
+    if (!requireAdmin(req, res)) return;
     try {
-      const { dataUrl } = JSON.parse(body || "{}");
-      if (!dataUrl || typeof dataUrl !== "string") {
-        send(res, 400, "Missing dataUrl", { "Content-Type": "text/plain; charset=utf-8" });
+      const body = await readJsonBody(req);
+      const id = body.id;
+      if (!id) {
+        send(res, 400, "Missing id", { "Content-Type": "text/plain; charset=utf-8" });
         return;
       }
-
-      const match = dataUrl.match(/^data:image\/(png);base64,(.+)$/);
-      if (!match) {
-        send(res, 400, "Invalid image format", { "Content-Type": "text/plain; charset=utf-8" });
+      const entry = await restoreTrashEntry(campaign, id);
+      if (!entry) {
+        send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
         return;
       }
-
-      const buffer = Buffer.from(match[2], "base64");
-      const timestamp = formatKstTimestamp(Date.now());
-      const filename = await uniqueFilename(`paint-${timestamp}.png`, UPLOAD_DIR);
-      const filepath = path.join(UPLOAD_DIR, filename);
-      await fsp.writeFile(filepath, buffer);
-
-      const payload = JSON.stringify({
-        filename,
-        path: filename,
-        url: `/uploads/${filename}`,
+      send(res, 200, JSON.stringify({ path: entry.path }), {
+        "Content-Type": "application/json; charset=utf-8",
       });
-      send(res, 200, payload, { "Content-Type": "application/json; charset=utf-8" });
     } catch (err) {
       send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
     }
-  });
-}
+    return;
+  }
 
-async function readJsonBody(req) {
-  return await new Promise((resolve, reject) => {
-    let body = "";
-    req.on("data", (chunk) => {
-      body += chunk;
-      if (body.length > MAX_BODY_SIZE) {
-        reject(new Error("Payload too large"));
-        req.destroy();
+  if (req.method === "POST" && url.pathname === "/api/trash/purge") {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const body = await readJsonBody(req);
+      const id = body.id;
+      if (!id) {
+        send(res, 400, "Missing id", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
       }
-    });
-    req.on("end", () => {
-      try {
-        resolve(JSON.parse(body || "{}"));
-      } catch (err) {
-        reject(err);
+      const purged = await purgeTrash(campaign, (entry) => entry.id === id);
+      if (!purged) {
+        send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
       }
-    });
-  });
-}
+      send(res, 200, JSON.stringify({ purged }), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
 
-async function handleDelete(req, res, url) {
-  let target = url.searchParams.get("path") || url.searchParams.get("filename");
-  if (!target && req.method === "POST") {
+  if (req.method === "POST" && url.pathname === "/api/trash/empty") {
+    if (!requireAdmin(req, res)) return;
     try {
-      const body = await readJsonBody(req);
-      target = body.path || body.filename;
+      const purged = await purgeTrash(campaign, () => true);
+      send(res, 200, JSON.stringify({ purged }), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
     } catch (err) {
-      send(res, 400, "Invalid JSON body", { "Content-Type": "text/plain; charset=utf-8" });
-      return;
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
     }
+    return;
   }
 
-  if (!target) {
-    send(res, 400, "Missing path", { "Content-Type": "text/plain; charset=utf-8" });
+  if (req.method === "GET" && url.pathname === "/api/slots") {
+    try {
+      const items = await listSlots(campaign);
+      send(res, 200, JSON.stringify(items), { "Content-Type": "application/json; charset=utf-8" });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    }
     return;
   }
 
-  try {
-    const entry = await markAsTrashed(target);
-    send(res, 200, JSON.stringify({ path: entry.path }), {
-      "Content-Type": "application/json; charset=utf-8",
-    });
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
-      return;
+  if (req.method === "GET" && url.pathname === "/api/stickers") {
+    try {
+      const packs = await listStickerPacks();
+      send(res, 200, JSON.stringify({ packs }), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
     }
-    send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    return;
   }
-}
 
-const server = http.createServer(async (req, res) => {
-  const url = new URL(req.url, `http://${req.headers.host}`);
-
-  if (req.method === "GET" && url.pathname === "/api/list") {
+  if (req.method === "GET" && url.pathname === "/api/stickers/all") {
     if (!requireAdmin(req, res)) return;
     try {
-      const items = await listImages();
-      send(res, 200, JSON.stringify(items), { "Content-Type": "application/json; charset=utf-8" });
+      const packs = await listStickerPacks({ includeDisabled: true });
+      send(res, 200, JSON.stringify({ packs }), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
     } catch (err) {
       send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
     }
     return;
   }
 
-  if (req.method === "GET" && url.pathname === "/api/folders") {
+  if (req.method === "POST" && url.pathname === "/api/stickers/upload") {
     if (!requireAdmin(req, res)) return;
     try {
-      const folders = await listFolders();
-      send(res, 200, JSON.stringify(folders), {
+      const body = await readJsonBody(req);
+      const image = parseImageDataUrl(body?.dataUrl);
+      if (!image) {
+        send(res, 400, "Invalid image format", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+      // Sticker files are served to every paint page, so they get the same
+      // checks and metadata stripping as drawings.
+      image.buffer = sanitizeUploadImage(image.buffer, image.format, getStickerImageBounds());
+      const sticker = await addSticker({ ...body, image });
+      if (!sticker) {
+        send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+      send(res, 200, JSON.stringify(sticker), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      sendUploadFailure(req, res, err);
+    }
+    return;
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/stickers/update") {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const body = await readJsonBody(req);
+      if (!body?.id) {
+        send(res, 400, "Missing id", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+      const sticker = await updateSticker(body.id, body);
+      if (!sticker) {
+        send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+      send(res, 200, JSON.stringify(sticker), {
         "Content-Type": "application/json; charset=utf-8",
       });
     } catch (err) {
@@ -708,11 +3177,20 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  if (req.method === "GET" && url.pathname === "/api/trash") {
+  if (req.method === "POST" && url.pathname === "/api/stickers/order") {
     if (!requireAdmin(req, res)) return;
     try {
-      const items = await listTrash();
-      send(res, 200, JSON.stringify(items), {
+      const body = await readJsonBody(req);
+      if (!Array.isArray(body?.ids)) {
+        send(res, 400, "Missing ids", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+      const ok = await reorderStickers(body.packId || null, body.ids.map(String));
+      if (!ok) {
+        send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+      send(res, 200, JSON.stringify({ ok: true }), {
         "Content-Type": "application/json; charset=utf-8",
       });
     } catch (err) {
@@ -721,11 +3199,12 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  if (req.method === "GET" && url.pathname === "/api/batches") {
+  if (req.method === "POST" && url.pathname === "/api/stickers/packs") {
     if (!requireAdmin(req, res)) return;
     try {
-      const payload = await listBatches();
-      send(res, 200, JSON.stringify(payload), {
+      const body = await readJsonBody(req);
+      const pack = await createStickerPack(body?.name);
+      send(res, 200, JSON.stringify(pack), {
         "Content-Type": "application/json; charset=utf-8",
       });
     } catch (err) {
@@ -734,17 +3213,20 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  if (req.method === "POST" && url.pathname === "/api/batches/select") {
+  if (req.method === "POST" && url.pathname === "/api/stickers/packs/update") {
     if (!requireAdmin(req, res)) return;
     try {
       const body = await readJsonBody(req);
-      const index = Number(body?.index);
-      if (!Number.isFinite(index) || index < 0) {
-        send(res, 400, "Invalid index", { "Content-Type": "text/plain; charset=utf-8" });
+      if (!body?.id) {
+        send(res, 400, "Missing id", { "Content-Type": "text/plain; charset=utf-8" });
         return;
       }
-      await writeSelection(Math.floor(index));
-      send(res, 200, JSON.stringify({ ok: true }), {
+      const pack = await updateStickerPack(body.id, body);
+      if (!pack) {
+        send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+      send(res, 200, JSON.stringify(pack), {
         "Content-Type": "application/json; charset=utf-8",
       });
     } catch (err) {
@@ -753,33 +3235,84 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  if (req.method === "POST" && url.pathname === "/api/restore") {
+  if (req.method === "GET" && url.pathname === "/api/campaign") {
+    send(res, 200, JSON.stringify(toCampaignPayload(campaign)), {
+      "Content-Type": "application/json; charset=utf-8",
+    });
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/campaigns") {
+    if (!requireAdmin(req, res)) return;
+    try {
+      const campaigns = await listCampaigns();
+      send(res, 200, JSON.stringify({ campaigns: campaigns.map(toCampaignPayload) }), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
+    } catch (err) {
+      send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/campaigns") {
     if (!requireAdmin(req, res)) return;
     try {
       const body = await readJsonBody(req);
-      const id = body.id;
-      if (!id) {
-        send(res, 400, "Missing id", { "Content-Type": "text/plain; charset=utf-8" });
+      if (!isCampaignId(body?.id)) {
+        send(res, 400, "Invalid campaign id", { "Content-Type": "text/plain; charset=utf-8" });
         return;
       }
-      const entry = await restoreTrashEntry(id);
-      if (!entry) {
-        send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
+      const frame = body.frame ? parseImageDataUrl(body.frame) : null;
+      if (body.frame && !frame) {
+        send(res, 400, "Invalid frame image", { "Content-Type": "text/plain; charset=utf-8" });
         return;
       }
-      send(res, 200, JSON.stringify({ path: entry.path }), {
+      if (body.slots !== undefined && body.slots !== null) {
+        try {
+          parseSlotDefinitions(body.slots);
+        } catch (err) {
+          send(res, 400, err.message, { "Content-Type": "text/plain; charset=utf-8" });
+          return;
+        }
+      }
+      const created = await createCampaign({
+        id: body.id,
+        title: body.title,
+        subtitle: body.subtitle,
+        frame,
+        slots: body.slots || null,
+      });
+      send(res, 200, JSON.stringify(toCampaignPayload(created)), {
         "Content-Type": "application/json; charset=utf-8",
       });
     } catch (err) {
+      if (err.code === "EEXIST") {
+        send(res, 409, "Campaign already exists", {
+          "Content-Type": "text/plain; charset=utf-8",
+        });
+        return;
+      }
       send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
     }
     return;
   }
 
-  if (req.method === "GET" && url.pathname === "/api/slots") {
+  if (req.method === "GET" && url.pathname === "/frame") {
     try {
-      const items = await listSlots();
-      send(res, 200, JSON.stringify(items), { "Content-Type": "application/json; charset=utf-8" });
+      await serveStatic(res, campaign.frameFile || safePublicPath(DEFAULT_FRAME_URL));
+    } catch (err) {
+      send(res, 400, "Invalid path", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname === "/api/export-config") {
+    try {
+      const config = await getExportConfig(campaign);
+      send(res, 200, JSON.stringify(config), {
+        "Content-Type": "application/json; charset=utf-8",
+      });
     } catch (err) {
       send(res, 500, "Server Error", { "Content-Type": "text/plain; charset=utf-8" });
     }
@@ -787,7 +3320,12 @@ const server = http.createServer(async (req, res) => {
   }
 
   if (req.method === "POST" && url.pathname === "/api/upload") {
-    await handleUpload(req, res);
+    await handleUpload(req, res, campaign, receiveDataUrlUpload);
+    return;
+  }
+
+  if (req.method === "POST" && url.pathname === "/api/upload/stream") {
+    await handleUpload(req, res, campaign, receiveStreamUpload);
     return;
   }
 
@@ -803,18 +3341,58 @@ const server = http.createServer(async (req, res) => {
 
   if (req.method === "DELETE" && url.pathname === "/api/delete") {
     if (!requireAdmin(req, res)) return;
-    await handleDelete(req, res, url);
+    await handleDelete(req, res, url, campaign);
     return;
   }
   if (req.method === "POST" && url.pathname === "/api/delete") {
     if (!requireAdmin(req, res)) return;
-    await handleDelete(req, res, url);
+    await handleDelete(req, res, url, campaign);
     return;
   }
 
   if (req.method === "GET" && url.pathname.startsWith("/uploads/")) {
     try {
-      const filePath = safeUploadsPath(url.pathname.replace("/uploads/", ""));
+      const filePath = safeUploadsPath(campaign, url.pathname.replace("/uploads/", ""));
+      await serveStatic(res, filePath);
+    } catch (err) {
+      send(res, 400, "Invalid path", { "Content-Type": "text/plain; charset=utf-8" });
+    }
+    return;
+  }
+
+  // Anything that can't be thumbnailed is sent to the full-size image.
+  if (req.method === "GET" && url.pathname.startsWith("/thumbs/")) {
+    let relPath;
+    try {
+      const sourcePath = safeUploadsPath(campaign, url.pathname.replace("/thumbs/", ""));
+      relPath = normalizeRelPath(path.relative(campaign.uploadDir, sourcePath));
+    } catch (err) {
+      send(res, 400, "Invalid path", { "Content-Type": "text/plain; charset=utf-8" });
+      return;
+    }
+    // Signed-out visitors asking for many cold thumbnails get the full image
+    // once their bucket is empty, so they can't keep the worker busy.
+    const canGenerate = () =>
+      Boolean(getSessionToken(req)) || takeRateToken("thumb", getClientIp(req)) === 0;
+    try {
+      const thumbPath = await ensureThumbnail(campaign, relPath, canGenerate);
+      if (thumbPath) {
+        await serveStatic(res, thumbPath);
+        return;
+      }
+    } catch (err) {
+      if (err.code === "ENOENT") {
+        send(res, 404, "Not Found", { "Content-Type": "text/plain; charset=utf-8" });
+        return;
+      }
+    }
+    send(res, 302, "", { Location: `${campaign.urlPrefix}/uploads/${relPath}` });
+    return;
+  }
+
+  if (req.method === "GET" && url.pathname.startsWith("/stickers/")) {
+    try {
+      const filePath = safeStickerPath(url.pathname.replace("/stickers/", ""));
       await serveStatic(res, filePath);
     } catch (err) {
       send(res, 400, "Invalid path", { "Content-Type": "text/plain; charset=utf-8" });
@@ -836,6 +3414,64 @@ const server = http.createServer(async (req, res) => {
   send(res, 405, "Method Not Allowed", { "Content-Type": "text/plain; charset=utf-8" });
 });
 
-server.listen(PORT, () => {
-  console.log(`Server running at http://localhost:${PORT}`);
-});
+function runTrashPurge(campaign) {
+  return purgeExpiredTrash(campaign)
+    .then((purged) => {
+      if (purged) {
+        console.log(`Trash [${campaign.id}]: ${purged} expired uploads deleted`);
+      }
+    })
+    .catch((err) => {
+      console.warn(`Trash purge failed [${campaign.id}]: ${err.message}`);
+    });
+}
+
+function runIndexReconcile(campaign) {
+  return reconcileUploadIndex(campaign)
+    .then(({ added, removed }) => {
+      if (added || removed) {
+        console.log(`Upload index [${campaign.id}]: ${added} added, ${removed} removed`);
+      }
+    })
+    .catch((err) => {
+      console.warn(`Upload index reconcile failed [${campaign.id}]: ${err.message}`);
+    });
+}
+
+// Background jobs walk the campaigns one at a time to keep the disk quiet.
+async function forEachCampaign(task) {
+  try {
+    for (const campaign of await listCampaigns()) {
+      await task(campaign);
+    }
+  } catch (err) {
+    console.warn(`Campaign list failed: ${err.message}`);
+  }
+}
+
+// The thumbnail worker runs this same file. The tests in test/ require it, so
+// the server only starts when the file is run directly.
+if (!isMainThread) {
+  runThumbnailWorker();
+} else if (require.main === module) {
+  setInterval(sweepRateLimits, RATE_LIMIT_SWEEP_MS).unref();
+  setInterval(() => forEachCampaign(runTrashPurge), TRASH_PURGE_INTERVAL_MS).unref();
+
+  forEachCampaign(async (campaign) => {
+    await runIndexReconcile(campaign);
+    await runTrashPurge(campaign);
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Server running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = {
+  createMultipartFileStream,
+  getMultipartBoundary,
+  sanitizePng,
+  sanitizeUploadImage,
+  takeRateToken,
+  takeRateTokens,
+};
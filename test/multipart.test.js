@@ -0,0 +1,125 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { Readable } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+
+const { createMultipartFileStream, getMultipartBoundary } = require("../server.js");
+
+const BOUNDARY = "----paintBoundary7MA4YWxk";
+
+function part(headers, body) {
+  return Buffer.concat([
+    Buffer.from(`--${BOUNDARY}\r\n${headers.join("\r\n")}\r\n\r\n`),
+    Buffer.from(body),
+    Buffer.from("\r\n"),
+  ]);
+}
+
+function fieldPart(name, value) {
+  return part([`Content-Disposition: form-data; name="${name}"`], value);
+}
+
+function filePart(name, filename, body) {
+  return part(
+    [
+      `Content-Disposition: form-data; name="${name}"; filename="${filename}"`,
+      "Content-Type: image/png",
+    ],
+    body
+  );
+}
+
+function multipartBody(parts, { end = true } = {}) {
+  return Buffer.concat([...parts, Buffer.from(end ? `--${BOUNDARY}--\r\n` : "")]);
+}
+
+// Feeds `body` to the parser `chunkSize` bytes at a time so boundaries land
+// across chunk edges, and resolves with the file bytes and the fields.
+async function parse(body, chunkSize = body.length) {
+  const chunks = [];
+  for (let i = 0; i < body.length; i += chunkSize) {
+    chunks.push(body.subarray(i, i + chunkSize));
+  }
+  const fields = {};
+  const output = [];
+  await pipeline(
+    Readable.from(chunks),
+    createMultipartFileStream(BOUNDARY, fields),
+    async function* collect(source) {
+      for await (const chunk of source) {
+        output.push(chunk);
+      }
+    }
+  );
+  return { file: Buffer.concat(output), fields };
+}
+
+describe("getMultipartBoundary", () => {
+  it("reads plain and quoted boundaries", () => {
+    assert.equal(getMultipartBoundary(`multipart/form-data; boundary=${BOUNDARY}`), BOUNDARY);
+    assert.equal(getMultipartBoundary('multipart/form-data; boundary="a b;c"'), "a b;c");
+  });
+
+  it("returns null without a boundary", () => {
+    assert.equal(getMultipartBoundary("multipart/form-data"), null);
+    assert.equal(getMultipartBoundary(undefined), null);
+  });
+});
+
+describe("createMultipartFileStream", () => {
+  const image = Buffer.from("\x89PNG\r\n\x1a\n--not-a-boundary\r\n-- end", "latin1");
+  const body = multipartBody([
+    fieldPart("submission", '{"consent":true}'),
+    filePart("image", "drawing.png", image),
+    filePart("second", "other.png", "ignored"),
+    fieldPart("after", "kept"),
+  ]);
+
+  it("streams the first file and collects the text fields", async () => {
+    const { file, fields } = await parse(body);
+    assert.deepEqual(file, image);
+    assert.deepEqual(fields, { submission: '{"consent":true}', after: "kept" });
+  });
+
+  it("gives the same result however the body is chunked", async () => {
+    for (const chunkSize of [1, 3, 7, 64]) {
+      const { file, fields } = await parse(body, chunkSize);
+      assert.deepEqual(file, image, `chunk size ${chunkSize}`);
+      assert.equal(fields.submission, '{"consent":true}');
+    }
+  });
+
+  it("fails without a file part", async () => {
+    await assert.rejects(parse(multipartBody([fieldPart("a", "b")])), {
+      code: "EBADUPLOAD",
+      message: "Missing file",
+    });
+  });
+
+  it("fails when the body ends inside the file", async () => {
+    const truncated = multipartBody([filePart("image", "drawing.png", image)], { end: false });
+    await assert.rejects(parse(truncated.subarray(0, truncated.length - 10)), {
+      code: "EBADUPLOAD",
+      message: "Incomplete multipart body",
+    });
+  });
+
+  it("rejects text fields over the size limit", async () => {
+    const large = multipartBody([
+      fieldPart("submission", "x".repeat(5 * 1024)),
+      filePart("image", "drawing.png", image),
+    ]);
+    await assert.rejects(parse(large, 512), { code: "EBADUPLOAD" });
+  });
+
+  it("rejects part headers that never end", async () => {
+    const endless = Buffer.concat([
+      Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="a"`),
+      Buffer.alloc(20 * 1024, "x"),
+    ]);
+    await assert.rejects(parse(endless, 1024), {
+      code: "EBADUPLOAD",
+      message: "Invalid multipart body",
+    });
+  });
+});
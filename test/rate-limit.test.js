@@ -0,0 +1,97 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+
+// Small limits so the tests don't depend on the defaults: three requests, then
+// one more every ten seconds.
+process.env.RATE_LIMIT_UPLOAD_CAPACITY = "3";
+process.env.RATE_LIMIT_UPLOAD_PER_MINUTE = "6";
+process.env.RATE_LIMIT_API_CAPACITY = "5";
+process.env.RATE_LIMIT_API_PER_MINUTE = "60";
+
+const { takeRateToken, takeRateTokens } = require("../server.js");
+
+// Each test uses its own address, so buckets never carry over between tests.
+let nextIp = 1;
+function newIp() {
+  const ip = `192.0.2.${nextIp}`;
+  nextIp += 1;
+  return ip;
+}
+
+function freezeClock(t, start = 1_000_000) {
+  const clock = { now: start };
+  t.mock.method(Date, "now", () => clock.now);
+  return clock;
+}
+
+describe("takeRateToken", () => {
+  it("allows a burst up to the capacity, then reports the wait", (t) => {
+    freezeClock(t);
+    const ip = newIp();
+    assert.equal(takeRateToken("upload", ip), 0);
+    assert.equal(takeRateToken("upload", ip), 0);
+    assert.equal(takeRateToken("upload", ip), 0);
+    assert.equal(takeRateToken("upload", ip), 10_000);
+  });
+
+  it("refills over time, up to the capacity", (t) => {
+    const clock = freezeClock(t);
+    const ip = newIp();
+    for (let i = 0; i < 3; i += 1) {
+      takeRateToken("upload", ip);
+    }
+    clock.now += 4_000;
+    assert.equal(takeRateToken("upload", ip), 6_000);
+    clock.now += 6_000;
+    assert.equal(takeRateToken("upload", ip), 0);
+
+    clock.now += 60 * 60_000;
+    for (let i = 0; i < 3; i += 1) {
+      assert.equal(takeRateToken("upload", ip), 0);
+    }
+    assert.ok(takeRateToken("upload", ip) > 0);
+  });
+
+  it("keeps a bucket per address", (t) => {
+    freezeClock(t);
+    const first = newIp();
+    const second = newIp();
+    for (let i = 0; i < 3; i += 1) {
+      takeRateToken("upload", first);
+    }
+    assert.ok(takeRateToken("upload", first) > 0);
+    assert.equal(takeRateToken("upload", second), 0);
+  });
+});
+
+describe("takeRateTokens", () => {
+  it("takes nothing from any bucket when one of them is empty", (t) => {
+    freezeClock(t);
+    const ip = newIp();
+    for (let i = 0; i < 3; i += 1) {
+      assert.equal(takeRateTokens(["api", "upload"], ip), 0);
+    }
+    // The upload bucket is empty; the rejected requests must not drain the
+    // two tokens left in the API bucket.
+    for (let i = 0; i < 10; i += 1) {
+      assert.equal(takeRateTokens(["api", "upload"], ip), 10_000);
+    }
+    assert.equal(takeRateToken("api", ip), 0);
+    assert.equal(takeRateToken("api", ip), 0);
+    assert.equal(takeRateToken("api", ip), 1_000);
+  });
+
+  it("reports the longest wait of the empty buckets", (t) => {
+    const clock = freezeClock(t);
+    const ip = newIp();
+    for (let i = 0; i < 5; i += 1) {
+      takeRateToken("api", ip);
+    }
+    for (let i = 0; i < 3; i += 1) {
+      takeRateToken("upload", ip);
+    }
+    assert.equal(takeRateTokens(["api", "upload"], ip), 10_000);
+    clock.now += 10_000;
+    assert.equal(takeRateTokens(["api", "upload"], ip), 0);
+  });
+});
@@ -0,0 +1,177 @@
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const zlib = require("node:zlib");
+
+const { sanitizePng, sanitizeUploadImage } = require("../server.js");
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const BOUNDS = { minWidth: 1, maxWidth: 64, minHeight: 1, maxHeight: 64 };
+
+function pngChunk(type, data = Buffer.alloc(0)) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "latin1"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(zlib.crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// An 8-bit RGB image with `extra` chunks between IHDR and IDAT.
+function makePng(width, height, { extra = [], rows = height } = {}) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  const row = Buffer.concat([Buffer.from([0]), Buffer.alloc(width * 3, 0x80)]);
+  const pixels = Buffer.concat(Array.from({ length: rows }, () => row));
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk("IHDR", header),
+    ...extra,
+    pngChunk("IDAT", zlib.deflateSync(pixels)),
+    pngChunk("IEND"),
+  ]);
+}
+
+function chunkTypes(png) {
+  const types = [];
+  let offset = PNG_SIGNATURE.length;
+  while (offset < png.length) {
+    const length = png.readUInt32BE(offset);
+    types.push(png.toString("latin1", offset + 4, offset + 8));
+    offset += 12 + length;
+  }
+  return types;
+}
+
+function jpegSegment(marker, data) {
+  const length = Buffer.alloc(2);
+  length.writeUInt16BE(data.length + 2);
+  return Buffer.concat([Buffer.from([0xff, marker]), length, Buffer.from(data)]);
+}
+
+function webpChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(data.length);
+  const padding = Buffer.alloc(data.length % 2);
+  return Buffer.concat([Buffer.from(type, "latin1"), length, Buffer.from(data), padding]);
+}
+
+function makeWebp(chunks) {
+  const body = Buffer.concat([Buffer.from("WEBP"), ...chunks]);
+  const header = Buffer.from("RIFF\0\0\0\0", "latin1");
+  header.writeUInt32LE(body.length, 4);
+  return Buffer.concat([header, body]);
+}
+
+describe("sanitizePng", () => {
+  it("keeps the image and drops metadata chunks", () => {
+    const png = makePng(4, 3, {
+      extra: [
+        pngChunk("gAMA", Buffer.from([0, 0, 0xb1, 0x8f])),
+        pngChunk("tEXt", Buffer.from("Comment\0secret")),
+        pngChunk("eXIf", Buffer.from("MM\0*")),
+      ],
+    });
+    const result = sanitizePng(png, BOUNDS);
+    assert.deepEqual(chunkTypes(result), ["IHDR", "gAMA", "IDAT", "IEND"]);
+    assert.equal(result.includes("secret"), false);
+  });
+
+  it("rejects images outside the bounds", () => {
+    assert.throws(() => sanitizePng(makePng(65, 3), BOUNDS), { code: "EREJECTED" });
+  });
+
+  it("rejects a chunk with a bad CRC", () => {
+    const png = makePng(4, 3);
+    png[png.length - 20] ^= 0xff;
+    assert.throws(() => sanitizePng(png, BOUNDS), { code: "EBADUPLOAD" });
+  });
+
+  it("rejects image data that doesn't fill the image", () => {
+    const png = makePng(4, 3, { rows: 2 });
+    assert.throws(() => sanitizePng(png, BOUNDS), {
+      code: "EBADUPLOAD",
+      message: "Corrupted image data",
+    });
+  });
+
+  it("rejects unknown critical chunks", () => {
+    const png = makePng(4, 3, { extra: [pngChunk("ZZZZ", Buffer.from("x"))] });
+    assert.throws(() => sanitizePng(png, BOUNDS), { code: "EBADUPLOAD" });
+  });
+
+  it("rejects animated PNG", () => {
+    const png = makePng(4, 3, { extra: [pngChunk("acTL", Buffer.alloc(8))] });
+    assert.throws(() => sanitizePng(png, BOUNDS), { code: "EREJECTED" });
+  });
+
+  it("rejects data after IEND", () => {
+    const png = Buffer.concat([makePng(4, 3), Buffer.from("trailer")]);
+    assert.throws(() => sanitizePng(png, BOUNDS), { code: "EBADUPLOAD" });
+  });
+});
+
+describe("sanitizeUploadImage", () => {
+  it("strips EXIF, XMP and comments from JPEG", () => {
+    const frame = Buffer.from([8, 0, 3, 0, 4, 1, 1, 0x11, 0]);
+    const jpeg = Buffer.concat([
+      Buffer.from([0xff, 0xd8]),
+      jpegSegment(0xe0, Buffer.from("JFIF\0\x01\x01\0\0\x01\0\x01\0\0", "latin1")),
+      jpegSegment(0xe1, Buffer.from("Exif\0\0secret", "latin1")),
+      jpegSegment(0xe1, Buffer.from("http://ns.adobe.com/xap/1.0/\0secret", "latin1")),
+      jpegSegment(0xfe, Buffer.from("secret")),
+      jpegSegment(0xe2, Buffer.from("ICC_PROFILE\0\x01\x01", "latin1")),
+      jpegSegment(0xc0, frame),
+      jpegSegment(0xda, Buffer.from([1, 1, 0, 0, 0x3f, 0])),
+      Buffer.from([0x12, 0xff, 0x00, 0x34, 0xff, 0xd0, 0x56]),
+      Buffer.from([0xff, 0xd9]),
+      Buffer.from("secret"),
+    ]);
+    const result = sanitizeUploadImage(jpeg, "jpeg", BOUNDS);
+    assert.equal(result.includes("secret"), false);
+    assert.equal(result.includes("JFIF"), true);
+    assert.equal(result.includes("ICC_PROFILE"), true);
+    assert.deepEqual(
+      result.subarray(-9),
+      Buffer.from([0x12, 0xff, 0x00, 0x34, 0xff, 0xd0, 0x56, 0xff, 0xd9])
+    );
+  });
+
+  it("rejects a JPEG without an end marker", () => {
+    const jpeg = Buffer.concat([
+      Buffer.from([0xff, 0xd8]),
+      jpegSegment(0xc0, Buffer.from([8, 0, 3, 0, 4, 1, 1, 0x11, 0])),
+      jpegSegment(0xda, Buffer.from([1, 1, 0, 0, 0x3f, 0])),
+      Buffer.from([0x12, 0x34]),
+    ]);
+    assert.throws(() => sanitizeUploadImage(jpeg, "jpeg", BOUNDS), { code: "EBADUPLOAD" });
+  });
+
+  it("strips EXIF and XMP from WebP and clears their flags", () => {
+    const vp8x = Buffer.alloc(10);
+    vp8x[0] = 0x10 | 0x08 | 0x04;
+    vp8x.writeUIntLE(4 - 1, 4, 3);
+    vp8x.writeUIntLE(3 - 1, 7, 3);
+    const webp = makeWebp([
+      webpChunk("VP8X", vp8x),
+      webpChunk("ALPH", Buffer.from("abc")),
+      webpChunk("VP8 ", Buffer.alloc(10)),
+      webpChunk("EXIF", Buffer.from("secret")),
+      webpChunk("XMP ", Buffer.from("secret")),
+    ]);
+    const result = sanitizeUploadImage(webp, "webp", BOUNDS);
+    assert.equal(result.includes("secret"), false);
+    assert.equal(result.readUInt32LE(4), result.length - 8);
+    assert.equal(result[20], 0x10);
+  });
+
+  it("rejects WebP outside the bounds", () => {
+    const vp8x = Buffer.alloc(10);
+    vp8x.writeUIntLE(100 - 1, 4, 3);
+    vp8x.writeUIntLE(3 - 1, 7, 3);
+    const webp = makeWebp([webpChunk("VP8X", vp8x), webpChunk("VP8 ", Buffer.alloc(10))]);
+    assert.throws(() => sanitizeUploadImage(webp, "webp", BOUNDS), { code: "EREJECTED" });
+  });
+});